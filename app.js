@@ -1,8 +1,10 @@
 import { categorySelector } from './modules/categorySelector.js';
+import { channelManager } from './modules/channelManager.js';
 import { discogsService } from './modules/discogsService.js';
 import { youtubeService } from './modules/youtubeService.js';
 import { feedManager } from './modules/feedManager.js';
 import { dataBuffer } from './modules/dataBuffer.js';
+import { accountService } from './modules/accountService.js';
 
 let activeCriteria = null;
 
@@ -13,41 +15,59 @@ async function init() {
     const categoryScreen = document.getElementById('category-screen');
     categorySelector.init(categoryScreen);
 
+    // Discogs login: resolved in the background, cards built afterwards get the account actions
+    initLogin();
+
     document.addEventListener('categoriesSelected', (e) => {
         activeCriteria = e.detail.criteria;
 
-        document.getElementById('category-screen').classList.add('hidden');
-        document.getElementById('feed-screen').classList.remove('hidden');
-
         // Start background pipeline
-        dataBuffer.startPipeline(activeCriteria);
+        enterFeed(() => dataBuffer.startPipeline(activeCriteria));
+    });
 
-        const container = document.getElementById('feed-container');
-        feedManager.init(container, async () => {
-            return await dataBuffer.consume();
-        });
+    // "ESPLORA ETICHETTE" — walks the catalogue of the picked labels
+    document.addEventListener('labelsSelected', (e) => {
+        const { labels, order } = e.detail;
+        enterFeed(() => dataBuffer.startLabelPipeline(labels, order), '⚙️ HOME');
+    });
+
+    // "ESPLORA COLLEZIONE" — a user's collection folder or wantlist, shuffled
+    document.addEventListener('collectionSelected', (e) => {
+        enterFeed(() => dataBuffer.startCollectionPipeline(e.detail.source), '⚙️ HOME');
     });
 
     // "CANALI CURATI" button — starts channel mode without any category selection
     const channelsBtn = document.getElementById('channels-btn');
     if (channelsBtn) {
         channelsBtn.addEventListener('click', () => {
-            document.getElementById('category-screen').classList.add('hidden');
-            document.getElementById('feed-screen').classList.remove('hidden');
-
-            // Label the back button as HOME since there are no filters in this mode
-            const filtersBtn = document.getElementById('open-filters-btn');
-            if (filtersBtn) filtersBtn.querySelector('span').textContent = '⚙️ HOME';
-
-            dataBuffer.startChannelPipeline();
+            // Label the back button as HOME: channel filters live on the home screen too
+            enterFeed(() => dataBuffer.startChannelPipeline(categorySelector.getChannelFilters()), '⚙️ HOME');
+        });
+    }
 
-            const container = document.getElementById('feed-container');
-            feedManager.init(container, async () => {
-                return await dataBuffer.consume();
-            });
+    // "GESTISCI CANALI" — the curated channel list, its sync progress and import/export
+    const channelsScreen = document.getElementById('channels-screen');
+    channelManager.init(channelsScreen);
+    const manageChannelsBtn = document.getElementById('manage-channels-btn');
+    const channelsBackBtn = document.getElementById('channels-back-btn');
+    if (manageChannelsBtn && channelsBackBtn) {
+        manageChannelsBtn.addEventListener('click', () => {
+            categoryScreen.classList.add('hidden');
+            channelsScreen.classList.remove('hidden');
+        });
+        channelsBackBtn.addEventListener('click', () => {
+            channelsScreen.classList.add('hidden');
+            categoryScreen.classList.remove('hidden');
         });
     }
 
+    // ▶ on a row of the channel manager: that channel or playlist alone, with the home screen's filters
+    document.addEventListener('channelSourceSelected', (e) => {
+        channelsScreen.classList.add('hidden');
+        const filters = { ...categorySelector.getChannelFilters(), sourceIds: [e.detail.id] };
+        enterFeed(() => dataBuffer.startChannelPipeline(filters), '⚙️ HOME');
+    });
+
     const openFiltersBtn = document.getElementById('open-filters-btn');
     if (openFiltersBtn) {
         openFiltersBtn.addEventListener('click', () => {
@@ -75,6 +95,19 @@ async function init() {
         });
     }
 
+    // "＋ ARTISTA" on a card: dig into that artist's discography right after it
+    document.addEventListener('artistDeepDive', (e) => {
+        const { album } = e.detail;
+        feedManager.enterDetour(() => dataBuffer.startArtistDetour(album), album.artist);
+    });
+
+    const breadcrumbBtn = document.getElementById('breadcrumb-btn');
+    if (breadcrumbBtn) {
+        breadcrumbBtn.addEventListener('click', () => {
+            feedManager.exitDetour(() => dataBuffer.endDetour());
+        });
+    }
+
     document.addEventListener('videoEnded', () => {
         feedManager.navigateTo(feedManager.currentIndex + 1);
     });
@@ -91,6 +124,24 @@ async function init() {
         if (feedManager.observer) feedManager.observer.disconnect();
     });
 
+    // The chosen collection or wantlist can't be read (private, unknown user, missing folder)
+    document.addEventListener('collectionUnavailable', () => {
+        showError("Collezione o wantlist non accessibile: è privata o l'utente non esiste.");
+
+        document.getElementById('feed-screen').classList.add('hidden');
+        document.getElementById('category-screen').classList.remove('hidden');
+
+        const container = document.getElementById('feed-container');
+        container.innerHTML = '';
+        feedManager.cardBuffer = [];
+        if (feedManager.observer) feedManager.observer.disconnect();
+    });
+
+    // A finite source (e.g. a label catalogue) has been fully played
+    document.addEventListener('sourceExhausted', () => {
+        showError("Catalogo esplorato fino in fondo.");
+    });
+
     document.addEventListener('zeroResults', () => {
         showError("Nessun album trovato per questi filtri.");
 
@@ -107,6 +158,50 @@ async function init() {
     });
 }
 
+async function initLogin() {
+    const loginBtn = document.getElementById('discogs-login-btn');
+
+    if (new URLSearchParams(window.location.search).get('login') === 'failed') {
+        showError("Accesso a Discogs non riuscito.");
+        history.replaceState(null, '', window.location.pathname);
+    }
+
+    const username = await accountService.init();
+
+    // Logged in: the collection picker defaults to our own account
+    const collectionInput = document.getElementById('collection-user-input');
+    if (username && collectionInput && !collectionInput.value) collectionInput.value = username;
+
+    if (!loginBtn) return;
+
+    loginBtn.textContent = username ? `@${username} · ESCI` : 'ACCEDI CON DISCOGS';
+    loginBtn.addEventListener('click', () => {
+        if (accountService.isLoggedIn()) {
+            accountService.logout();
+        } else {
+            accountService.login();
+        }
+    });
+}
+
+// Swap to the feed screen, start a pipeline and hook the feed up to it
+function enterFeed(startPipeline, backLabel = null) {
+    document.getElementById('category-screen').classList.add('hidden');
+    document.getElementById('feed-screen').classList.remove('hidden');
+
+    if (backLabel) {
+        const filtersBtn = document.getElementById('open-filters-btn');
+        if (filtersBtn) filtersBtn.querySelector('span').textContent = backLabel;
+    }
+
+    startPipeline();
+
+    const container = document.getElementById('feed-container');
+    feedManager.init(container, async () => {
+        return await dataBuffer.consume();
+    }, item => dataBuffer.requeue(item));
+}
+
 function showError(msg) {
     const toast = document.getElementById('error-toast');
     toast.textContent = msg;
@@ -0,0 +1,65 @@
+/**
+ * accountService — the logged-in Discogs user (OAuth via /api/auth/discogs).
+ *
+ * The session itself lives in an HttpOnly cookie owned by the auth function;
+ * here we only learn who is logged in and act on their wantlist/collection.
+ * Collection lookups are cached per page session, like marketplace stats.
+ */
+import { discogsService } from './discogsService.js';
+
+const AUTH_BASE_URL = '/api/auth/discogs';
+
+const ownedCache = new Map(); // releaseId -> Promise<boolean>
+
+export const accountService = {
+    username: null,
+
+    // Resolves to the username, or null when nobody is logged in
+    async init() {
+        try {
+            const res = await fetch(`${AUTH_BASE_URL}/me`, { cache: 'no-store' });
+            this.username = res.ok ? (await res.json()).username : null;
+        } catch (e) {
+            this.username = null;
+        }
+        return this.username;
+    },
+
+    isLoggedIn() {
+        return !!this.username;
+    },
+
+    // Both are full-page navigations: the auth function answers with redirects
+    login() {
+        window.location.href = `${AUTH_BASE_URL}/login`;
+    },
+
+    logout() {
+        window.location.href = `${AUTH_BASE_URL}/logout`;
+    },
+
+    isInCollection(releaseId, priority = 'normal') {
+        if (!this.username || !/^\d+$/.test(String(releaseId))) return Promise.resolve(false);
+
+        if (!ownedCache.has(releaseId)) {
+            const pending = discogsService.fetchCollectionStatus(this.username, releaseId, priority).catch(err => {
+                console.warn('Collection lookup failed:', err.message);
+                ownedCache.delete(releaseId);
+                return false;
+            });
+            ownedCache.set(releaseId, pending);
+        }
+        return ownedCache.get(releaseId);
+    },
+
+    async addToWantlist(releaseId) {
+        if (!this.username) throw new Error('Not logged in');
+        await discogsService.addToWantlist(this.username, releaseId);
+    },
+
+    async addToCollection(releaseId) {
+        if (!this.username) throw new Error('Not logged in');
+        await discogsService.addToCollection(this.username, releaseId);
+        ownedCache.set(releaseId, Promise.resolve(true));
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * arrayUtils — small array helpers shared by the catalogue walkers
+ * (labelService, collectionService).
+ */
+
+export const arrayUtils = {
+    // Fisher–Yates, in place; returns the same array for chaining
+    shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+};
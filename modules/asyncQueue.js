@@ -0,0 +1,120 @@
+/**
+ * asyncQueue — bounded producer/consumer queue for dataBuffer's pipelines.
+ *
+ * Producers wait for room before doing the (network-bound) work for the next
+ * item and consumers wait for items, so an idle feed keeps no timers running:
+ * - push() resolves once the item is in, take() once there is one to hand out;
+ * - waitForSpace() lets a producer hold off until the consumer side catches up;
+ * - close() ends the stream: waiting producers get false, and take() returns
+ *   null once the queue is empty. dataBuffer closes a pipeline's queues when it
+ *   stops or is replaced, which is what ends that pipeline's loops;
+ * - the capacity can change at any time (dataBuffer follows the swipe pace).
+ */
+
+function _settle(waiters, value) {
+    waiters.splice(0).forEach(resolve => resolve(value));
+}
+
+export const asyncQueue = {
+    create(initialCapacity) {
+        const items = [];
+        const takers = [];       // resolve() of pending take() calls
+        const spaceWaiters = []; // resolve() of pending waitForSpace() calls
+        const drainWaiters = []; // resolve() of pending drained() calls
+        let capacity = initialCapacity;
+        let closed = false;
+
+        // Hand items to waiting consumers first: that may free the room a producer waits for
+        function _wake() {
+            while (takers.length > 0 && items.length > 0) {
+                takers.shift()(items.shift());
+            }
+            if (closed) {
+                if (items.length === 0) {
+                    _settle(takers, null);
+                    _settle(drainWaiters);
+                }
+                _settle(spaceWaiters, false);
+            } else if (items.length < capacity) {
+                _settle(spaceWaiters, true);
+            }
+        }
+
+        return {
+            get length() {
+                return items.length;
+            },
+
+            get capacity() {
+                return capacity;
+            },
+
+            get closed() {
+                return closed;
+            },
+
+            setCapacity(value) {
+                capacity = value;
+                _wake();
+            },
+
+            // true once there is room, false if the queue was closed meanwhile
+            waitForSpace() {
+                if (closed) return Promise.resolve(false);
+                if (items.length < capacity) return Promise.resolve(true);
+                return new Promise(resolve => spaceWaiters.push(resolve));
+            },
+
+            // Waits for room; false when the queue is closed and the item was not added
+            async push(item) {
+                while (!closed && items.length >= capacity) {
+                    await this.waitForSpace();
+                }
+                if (closed) return false;
+                items.push(item);
+                _wake();
+                return true;
+            },
+
+            // Put a handed-out item back at the front, room or not: it was already produced
+            unshift(item) {
+                items.unshift(item);
+                _wake();
+            },
+
+            // Next item, waiting for one if needed; null once the queue is closed and empty
+            take() {
+                if (items.length > 0) {
+                    const item = items.shift();
+                    _wake();
+                    return Promise.resolve(item);
+                }
+                if (closed) return Promise.resolve(null);
+                return new Promise(resolve => takers.push(resolve));
+            },
+
+            // Up to `max` items that are already there, without waiting
+            takeAvailable(max) {
+                const taken = items.splice(0, Math.max(0, max));
+                if (taken.length > 0) _wake();
+                return taken;
+            },
+
+            // Wake every pending take() with null, leaving the queue open: the consumer moved on
+            release() {
+                _settle(takers, null);
+            },
+
+            close() {
+                closed = true;
+                _wake();
+            },
+
+            // Resolves once the queue is closed and everything in it was taken
+            drained() {
+                if (closed && items.length === 0) return Promise.resolve();
+                return new Promise(resolve => drainWaiters.push(resolve));
+            }
+        };
+    }
+};
@@ -1,7 +1,11 @@
 import { CONFIG } from '../config.js';
+import { discogsService } from './discogsService.js';
+import { marketplaceService } from './marketplaceService.js';
+import { youtubeQuota } from './youtubeQuota.js';
 
 export const categorySelector = {
     exploreBtn: null,
+    selectedLabels: [],
 
     init(containerElement) {
         if (!containerElement) return;
@@ -13,21 +17,279 @@ export const categorySelector = {
         this.populateSelect('style-select', CONFIG.STYLES);
         this.populateSelect('era-select', CONFIG.ERAS);
         this.populateSelect('country-select', CONFIG.COUNTRIES);
+        this.populateSelect('format-select', CONFIG.FORMATS);
+        this.initYearMode(containerElement);
 
         // Set up button listener
         if (this.exploreBtn) {
             this.exploreBtn.addEventListener('click', () => {
-                const genre = document.getElementById('genre-select').value;
-                const style = document.getElementById('style-select').value;
-                const era = document.getElementById('era-select').value;
-                const country = document.getElementById('country-select').value;
+                // Every select is multiple: values are OR'ed, an empty list means "any"
+                const genres = this.getSelectedValues('genre-select');
+                const styles = this.getSelectedValues('style-select');
+                const years = this.getSelectedYears();
+                const countries = this.getSelectedValues('country-select');
+                const formats = this.getSelectedValues('format-select');
+                const originalToggle = document.getElementById('original-only-toggle');
+                const originalOnly = !!(originalToggle && originalToggle.checked);
+                const forSaleToggle = document.getElementById('for-sale-toggle');
+                const forSaleOnly = !!(forSaleToggle && forSaleToggle.checked);
+                const fallbackToggle = document.getElementById('youtube-fallback-toggle');
+                const youtubeFallback = !!(fallbackToggle && fallbackToggle.checked);
+                const obscurityRange = document.getElementById('obscurity-range');
+                const obscurity = obscurityRange ? CONFIG.OBSCURITY_LEVELS[Number(obscurityRange.value)] : 'balanced';
 
                 const event = new CustomEvent('categoriesSelected', {
-                    detail: { criteria: { genre, style, year: era, country } }
+                    detail: { criteria: { genres, styles, years, countries, formats, originalOnly, obscurity, forSaleOnly, youtubeFallback } }
                 });
                 document.dispatchEvent(event);
             });
         }
+
+        // The marketplace layer is a feed-wide preference, not a search criterion
+        const pricesToggle = containerElement.querySelector('#prices-toggle');
+        if (pricesToggle) {
+            pricesToggle.checked = marketplaceService.isEnabled();
+            pricesToggle.addEventListener('change', () => marketplaceService.setEnabled(pricesToggle.checked));
+        }
+
+        this.initLabelSearch(containerElement);
+        this.initCollectionPicker(containerElement);
+        this.initQuotaStatus(containerElement);
+    },
+
+    // Remaining YouTube budget for today, updated after every Data API call
+    initQuotaStatus(containerElement) {
+        const status = containerElement.querySelector('#yt-quota-status');
+        if (!status) return;
+
+        const render = () => {
+            const { remaining, resetsAt } = youtubeQuota.getStatus();
+            const units = new Intl.NumberFormat('it-IT').format(remaining);
+            const time = resetsAt.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+            status.textContent = `YouTube: ${units} unità rimaste · reset alle ${time}`;
+            // Below the search reserve the app is already running degraded
+            status.classList.toggle('low', !youtubeQuota.allows('search', 'search'));
+        };
+
+        render();
+        document.addEventListener('quotaChanged', render);
+    },
+
+    // ERA offers four ways to pick years; only the controls of the current mode are shown
+    initYearMode(containerElement) {
+        const modeSelect = containerElement.querySelector('#year-mode-select');
+        if (!modeSelect) return;
+
+        const panes = {
+            decades: containerElement.querySelector('#era-select'),
+            range: containerElement.querySelector('#year-range-inputs'),
+            exact: containerElement.querySelector('#year-exact-inputs')
+        };
+        const lastYear = new Date().getFullYear();
+        containerElement.querySelectorAll('.year-inputs input[type="number"]').forEach(input => {
+            input.min = CONFIG.MIN_YEAR;
+            input.max = lastYear;
+        });
+
+        modeSelect.addEventListener('change', () => {
+            Object.entries(panes).forEach(([mode, pane]) => {
+                if (pane) pane.classList.toggle('hidden', mode !== modeSelect.value);
+            });
+        });
+    },
+
+    // CANALI CURATI filters for channelService.setFilters; genre, style and era only on request,
+    // since channel uploads only get them from a Discogs match
+    getChannelFilters() {
+        const keywordInput = document.getElementById('channel-keyword-input');
+        const keywords = keywordInput ? keywordInput.value.split(',').map(k => k.trim()).filter(Boolean) : [];
+        const criteriaToggle = document.getElementById('channel-criteria-toggle');
+        if (!criteriaToggle || !criteriaToggle.checked) {
+            return { keywords, years: [], genres: [], styles: [] };
+        }
+        return {
+            keywords,
+            years: this.getSelectedYears(),
+            genres: this.getSelectedValues('genre-select'),
+            styles: this.getSelectedValues('style-select')
+        };
+    },
+
+    // Year spans as "from-to" strings, OR'ed like every other criterion; [] means any year
+    getSelectedYears() {
+        const modeSelect = document.getElementById('year-mode-select');
+        const mode = modeSelect ? modeSelect.value : 'decades';
+        const lastYear = new Date().getFullYear();
+        const clamp = year => Math.min(Math.max(year, CONFIG.MIN_YEAR), lastYear);
+
+        if (mode === 'decades') {
+            return this.getSelectedValues('era-select').map(decade => {
+                const from = parseInt(decade, 10);
+                return `${from}-${clamp(from + 9)}`;
+            });
+        }
+
+        if (mode === 'range') {
+            const from = parseInt(document.getElementById('year-from-input').value, 10);
+            const to = parseInt(document.getElementById('year-to-input').value, 10);
+            if (isNaN(from) && isNaN(to)) return [];
+            // An open end runs to the edge of the catalogue; a reversed range is read the right way round
+            const bounds = [isNaN(from) ? CONFIG.MIN_YEAR : clamp(from), isNaN(to) ? lastYear : clamp(to)];
+            bounds.sort((a, b) => a - b);
+            return [`${bounds[0]}-${bounds[1]}`];
+        }
+
+        if (mode === 'exact') {
+            const input = document.getElementById('year-exact-input').value;
+            const years = [...new Set((input.match(/\d{4}/g) || []).map(y => clamp(parseInt(y, 10))))];
+            return years.map(year => `${year}-${year}`);
+        }
+
+        return [];
+    },
+
+    initCollectionPicker(containerElement) {
+        const form = containerElement.querySelector('#collection-form');
+        const input = containerElement.querySelector('#collection-user-input');
+        const sourceSelect = containerElement.querySelector('#collection-source-select');
+        const status = containerElement.querySelector('#collection-status');
+        const collectionBtn = containerElement.querySelector('#collection-btn');
+        if (!form || !input || !sourceSelect || !status || !collectionBtn) return;
+
+        let loadedUser = null;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const username = input.value.trim();
+            if (!username) return;
+
+            status.textContent = '…';
+            sourceSelect.disabled = true;
+            collectionBtn.disabled = true;
+
+            // The wantlist is always offered; folders only when the collection is visible to us
+            const options = [{ value: 'wantlist', text: 'Wantlist' }];
+            try {
+                const folders = await discogsService.fetchCollectionFolders(username);
+                folders.forEach(f => options.push({ value: `folder:${f.id}`, text: `${f.name} (${f.count})` }));
+                status.textContent = '';
+            } catch (err) {
+                status.textContent = err.code === 'COLLECTION_UNAVAILABLE'
+                    ? 'Collezione privata o utente inesistente: solo wantlist.'
+                    : 'Impossibile caricare le cartelle, riprova.';
+            }
+
+            sourceSelect.innerHTML = '';
+            options.forEach(o => {
+                const option = document.createElement('option');
+                option.value = o.value;
+                option.textContent = o.text;
+                sourceSelect.appendChild(option);
+            });
+            // Default to the "All" folder (id 0) when there is one
+            if (options.some(o => o.value === 'folder:0')) sourceSelect.value = 'folder:0';
+
+            loadedUser = username;
+            sourceSelect.disabled = false;
+            collectionBtn.disabled = false;
+        });
+
+        collectionBtn.addEventListener('click', () => {
+            if (!loadedUser || !sourceSelect.value) return;
+
+            const [kind, folderId] = sourceSelect.value.split(':');
+            const source = kind === 'wantlist'
+                ? { username: loadedUser, kind: 'wantlist' }
+                : { username: loadedUser, kind: 'collection', folderId: Number(folderId) };
+
+            document.dispatchEvent(new CustomEvent('collectionSelected', { detail: { source } }));
+        });
+    },
+
+    initLabelSearch(containerElement) {
+        const form = containerElement.querySelector('#label-search-form');
+        const input = containerElement.querySelector('#label-search-input');
+        const results = containerElement.querySelector('#label-results');
+        const labelsBtn = containerElement.querySelector('#labels-btn');
+        if (!form || !input || !results || !labelsBtn) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const query = input.value.trim();
+            if (!query) return;
+
+            results.innerHTML = '<li class="label-results-status">…</li>';
+            try {
+                const labels = await discogsService.searchLabels(query);
+                this.renderLabelResults(results, labels);
+            } catch (err) {
+                console.error("Label search error:", err);
+                results.innerHTML = '<li class="label-results-status">Ricerca non riuscita, riprova.</li>';
+            }
+        });
+
+        labelsBtn.addEventListener('click', () => {
+            if (this.selectedLabels.length === 0) return;
+            const order = containerElement.querySelector('#label-order-select').value;
+
+            document.dispatchEvent(new CustomEvent('labelsSelected', {
+                detail: { labels: this.selectedLabels.slice(), order }
+            }));
+        });
+    },
+
+    renderLabelResults(results, labels) {
+        results.innerHTML = '';
+        if (labels.length === 0) {
+            results.innerHTML = '<li class="label-results-status">Nessuna etichetta trovata.</li>';
+            return;
+        }
+
+        labels.forEach(label => {
+            const li = document.createElement('li');
+            if (label.thumb) {
+                const img = document.createElement('img');
+                img.src = label.thumb;
+                img.alt = '';
+                li.appendChild(img);
+            }
+            li.appendChild(document.createTextNode(label.name));
+            li.addEventListener('click', () => {
+                if (!this.selectedLabels.some(l => l.id === label.id)) {
+                    this.selectedLabels.push({ id: label.id, name: label.name });
+                    this.renderLabelChips();
+                }
+                results.innerHTML = '';
+            });
+            results.appendChild(li);
+        });
+    },
+
+    renderLabelChips() {
+        const chips = document.getElementById('label-chips');
+        const labelsBtn = document.getElementById('labels-btn');
+        if (!chips) return;
+
+        chips.innerHTML = '';
+        this.selectedLabels.forEach(label => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'label-chip';
+            chip.textContent = label.name;
+            chip.addEventListener('click', () => {
+                this.selectedLabels = this.selectedLabels.filter(l => l.id !== label.id);
+                this.renderLabelChips();
+            });
+            chips.appendChild(chip);
+        });
+
+        if (labelsBtn) labelsBtn.disabled = this.selectedLabels.length === 0;
+    },
+
+    getSelectedValues(elementId) {
+        const select = document.getElementById(elementId);
+        if (!select) return [];
+        return Array.from(select.selectedOptions).map(o => o.value).filter(Boolean);
     },
 
     populateSelect(elementId, items) {
@@ -0,0 +1,245 @@
+import { channelService } from './channelService.js';
+import { persistentStore } from './persistentStore.js';
+
+export const channelManager = {
+    listElement: null,
+    statusElement: null,
+    usageElement: null,
+
+    init(containerElement) {
+        if (!containerElement) return;
+
+        this.listElement = containerElement.querySelector('#channel-list');
+        this.statusElement = containerElement.querySelector('#channel-manager-status');
+        this.usageElement = containerElement.querySelector('#storage-usage');
+
+        // Playback order is a channel-mode preference, like the label pipeline's order
+        const orderSelect = containerElement.querySelector('#channel-order-select');
+        if (orderSelect) {
+            orderSelect.value = channelService.getOrder();
+            orderSelect.addEventListener('change', () => channelService.setOrder(orderSelect.value));
+        }
+
+        this.initAddForm(containerElement);
+        this.initImportExport(containerElement);
+
+        this.render();
+        this.renderChannelsButton();
+        this.renderUsage();
+        document.addEventListener('channelsChanged', () => {
+            this.render();
+            this.renderChannelsButton();
+            this.renderUsage();
+        });
+        // Sync ticks only touch that source's progress line: rebuilding the list
+        // would close an open weight menu or swallow a click under the user's finger
+        document.addEventListener('channelSyncProgress', (e) => {
+            this.updateProgress(e.detail && e.detail.id);
+            this.renderUsage();
+        });
+    },
+
+    initAddForm(containerElement) {
+        const form = containerElement.querySelector('#channel-add-form');
+        const input = containerElement.querySelector('#channel-add-input');
+        if (!form || !input) return;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const value = input.value.trim();
+            if (!value) return;
+
+            this.setStatus('…');
+            try {
+                const channel = await channelService.addChannel(value);
+                this.setStatus(`Aggiunto: ${channel.title}`);
+                input.value = '';
+            } catch (err) {
+                const messages = {
+                    INVALID_CHANNEL: 'Inserisci URL, @handle o ID di un canale (UC…), oppure URL o ID di una playlist (PL…).',
+                    CHANNEL_NOT_FOUND: 'Canale o playlist non trovati (le playlist private non sono leggibili).',
+                    CHANNEL_EXISTS: 'Già presente nella lista.',
+                    QUOTA_LOW: 'Quota YouTube esaurita per oggi, riprova dopo il reset.'
+                };
+                this.setStatus(messages[err.code] || 'Impossibile aggiungere il canale, riprova.');
+            }
+        });
+    },
+
+    initImportExport(containerElement) {
+        const exportBtn = containerElement.querySelector('#channels-export-btn');
+        const importInput = containerElement.querySelector('#channels-import-input');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const blob = new Blob([channelService.exportChannels()], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'canali-curati.json';
+                link.click();
+                // Revoking right away cancels the download in some browsers (Firefox)
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            });
+        }
+
+        if (importInput) {
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                if (!file) return;
+                try {
+                    const added = channelService.importChannels(await file.text());
+                    this.setStatus(added > 0 ? `Importati ${added} canali.` : 'Nessun canale nuovo nel file.');
+                } catch (err) {
+                    this.setStatus('File non valido: serve una lista esportata da qui.');
+                }
+                importInput.value = ''; // Lets the same file be picked again
+            });
+        }
+    },
+
+    setStatus(text) {
+        if (this.statusElement) this.statusElement.textContent = text;
+    },
+
+    render() {
+        if (!this.listElement) return;
+        const channels = channelService.getChannels();
+
+        this.listElement.innerHTML = '';
+        if (channels.length === 0) {
+            this.listElement.innerHTML = '<li class="channel-list-status">Nessun canale: aggiungine uno qui sotto.</li>';
+            return;
+        }
+
+        channels.forEach(channel => {
+            const li = document.createElement('li');
+            li.className = 'channel-row';
+            li.dataset.id = channel.id;
+            li.classList.toggle('disabled', !channel.enabled);
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = channel.enabled;
+            toggle.title = channel.enabled ? 'Escludi dal feed' : 'Includi nel feed';
+            toggle.addEventListener('change', () => channelService.setChannelEnabled(channel.id, toggle.checked));
+
+            const info = document.createElement('div');
+            info.className = 'channel-info';
+            const title = document.createElement('a');
+            title.className = 'channel-title';
+            title.href = channel.kind === 'playlist'
+                ? `https://www.youtube.com/playlist?list=${channel.id}`
+                : `https://www.youtube.com/channel/${channel.id}`;
+            title.target = '_blank';
+            title.rel = 'noopener';
+            title.textContent = channel.title;
+            if (channel.kind === 'playlist') {
+                const tag = document.createElement('span');
+                tag.className = 'channel-kind';
+                tag.textContent = 'PLAYLIST';
+                info.appendChild(tag);
+            }
+            info.appendChild(title);
+            info.appendChild(this.renderProgress(channel));
+
+            // Draw weight on top of the archive size: ×2 = twice as often as its size alone would give
+            const weight = document.createElement('select');
+            weight.className = 'channel-weight';
+            weight.title = 'Frequenza nel feed';
+            channelService.getWeightOptions().forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `×${value}`;
+                weight.appendChild(option);
+            });
+            weight.value = channel.weight;
+            weight.addEventListener('change', () => channelService.setChannelWeight(channel.id, Number(weight.value)));
+
+            // Just this source, enabled or not; app.js starts the feed
+            const play = document.createElement('button');
+            play.type = 'button';
+            play.className = 'channel-play';
+            play.textContent = '▶';
+            play.title = 'Ascolta solo questa fonte';
+            play.addEventListener('click', () => {
+                document.dispatchEvent(new CustomEvent('channelSourceSelected', { detail: { id: channel.id } }));
+            });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'channel-remove';
+            remove.textContent = '✕';
+            remove.title = 'Rimuovi canale';
+            remove.addEventListener('click', () => {
+                if (confirm(`Rimuovere ${channel.title} e il suo archivio?`)) {
+                    channelService.removeChannel(channel.id);
+                }
+            });
+
+            li.append(toggle, info, weight, play, remove);
+            this.listElement.appendChild(li);
+        });
+    },
+
+    updateProgress(id) {
+        if (!this.listElement || !id) return;
+        const row = this.listElement.querySelector(`.channel-row[data-id="${id}"]`);
+        const channel = channelService.getChannels().find(ch => ch.id === id);
+        const progress = row && row.querySelector('.channel-progress');
+        if (channel && progress) progress.replaceWith(this.renderProgress(channel));
+    },
+
+    // "1.240 / 3.000 video · sincronizzazione…" plus a bar, when the total is known
+    renderProgress(channel) {
+        const wrap = document.createElement('div');
+        wrap.className = 'channel-progress';
+
+        const count = new Intl.NumberFormat('it-IT');
+        let text = `${count.format(channel.videos)}`;
+        if (channel.totalResults) text += ` / ${count.format(channel.totalResults)}`;
+        text += ' video';
+        if (channel.isRefreshing) text += ' · cerco nuovi caricamenti…';
+        else if (channel.isFullyLoaded) text += ' · completo';
+        else if (channel.isSyncing) text += ' · sincronizzazione…';
+
+        const label = document.createElement('small');
+        label.textContent = text;
+        wrap.appendChild(label);
+
+        if (channel.totalResults) {
+            const bar = document.createElement('div');
+            bar.className = 'channel-progress-bar';
+            const share = channel.isFullyLoaded ? 1 : Math.min(1, channel.videos / channel.totalResults);
+            bar.style.setProperty('--progress', `${Math.round(share * 100)}%`);
+            wrap.appendChild(bar);
+        }
+        return wrap;
+    },
+
+    // "Archivio locale: 12,4 MB di 2.048 MB (IndexedDB)"; a failed write is shown instead of lost
+    async renderUsage() {
+        if (!this.usageElement) return;
+        const { backend, usage, quota, lastError } = await persistentStore.usage();
+
+        const mb = bytes => new Intl.NumberFormat('it-IT', { maximumFractionDigits: 1 }).format(bytes / (1024 * 1024));
+        let text = usage !== null ? `Archivio locale: ${mb(usage)} MB` : 'Archivio locale';
+        if (usage !== null && quota) text += ` di ${mb(quota)} MB`;
+        text += ` (${backend === 'indexedDB' ? 'IndexedDB' : 'localStorage'})`;
+        if (lastError) text += ` · ultimo salvataggio non riuscito: ${lastError}`;
+
+        this.usageElement.textContent = text;
+        this.usageElement.classList.toggle('low', !!lastError);
+    },
+
+    // The CANALI CURATI button lists what it will actually play
+    renderChannelsButton() {
+        const button = document.getElementById('channels-btn');
+        if (!button) return;
+
+        const enabled = channelService.getChannels().filter(ch => ch.enabled);
+        const names = button.querySelector('small');
+        if (names) names.textContent = enabled.length > 0 ? enabled.map(ch => ch.title).join(' · ') : 'Nessun canale attivo';
+        button.disabled = enabled.length === 0;
+    }
+};
@@ -1,77 +1,209 @@
 /**
  * channelService — fetches videos from curated YouTube channels.
  *
+ * The channel list is the user's own (see channelManager): persisted in
+ * localStorage, seeded with DEFAULT_CHANNELS, shareable as JSON.
+ * Besides channels (their uploads playlist) it can hold any public playlist
+ * ({ kind: 'playlist', playlistId }); a playlist's handle is its ID.
+ *
  * Strategy (zero load time, full randomness):
- *   1. Initial load from `localStorage` (instant).
+ *   1. Initial load from persistentStore (IndexedDB, a few ms).
  *   2. If empty, fetch RSS to get 15 videos immediately (instant, 0 quota).
  *   3. In background, smoothly paginate YouTube API until the ENTIRE channel 
- *      history is saved to `localStorage`.
+ *      history is saved to persistentStore.
  *   4. Select randomly from the full local history (true randomness).
  */
-import { CONFIG } from '../config.js';
-
-const CHANNELS = [
-    { handle: 'VinyleArcheologie', channelId: 'UCKydEBEvAU5zkN8o1snt62A' },
-    { handle: 'oleg_samples', channelId: 'UC47qc6t2RelhfvI-OjgIY2A' },
-    { handle: 'librariessountracksandrelated', channelId: 'UCekevJPGTZ44nn_i4SWJDIw' },
-    { handle: 'andrenavarroII', channelId: 'UCv5OAW45h67CJEY6kJLyisg' },
+import { youtubeQuota } from './youtubeQuota.js';
+import { persistentStore } from './persistentStore.js';
+import { discogsMatcher } from './discogsMatcher.js';
+import { videoAvailability } from './videoAvailability.js';
+import { textUtils } from './textUtils.js';
+
+const DEFAULT_CHANNELS = [
+    { handle: 'VinyleArcheologie', channelId: 'UCKydEBEvAU5zkN8o1snt62A', title: 'VinyleArcheologie', enabled: true, weight: 1 },
+    { handle: 'oleg_samples', channelId: 'UC47qc6t2RelhfvI-OjgIY2A', title: 'oleg_samples', enabled: true, weight: 1 },
+    { handle: 'librariessountracksandrelated', channelId: 'UCekevJPGTZ44nn_i4SWJDIw', title: 'libraries', enabled: true, weight: 1 },
+    { handle: 'andrenavarroII', channelId: 'UCv5OAW45h67CJEY6kJLyisg', title: 'andrenavarroII', enabled: true, weight: 1 },
 ];
 
-const uploadsId = ch => 'UU' + ch.channelId.slice(2);
+// Hand-set multipliers on top of the size-proportional pick (see _candidatePools)
+const CHANNEL_WEIGHTS = [0.25, 0.5, 1, 2, 4];
 
-const cache = {}; // handle -> { videos: [], nextPageToken: null, isFullyLoaded: false, isSyncing: false }
+const CHANNEL_ID_RE = /^UC[\w-]{22}$/;
+const PLAYLIST_ID_RE = /^(PL|OL|UU|FL)[\w-]{10,}$/;
 
-// Persist seen videos across page reloads so the same videos never resurface.
-function _loadSeenVideos() {
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000; // Re-check a channel's newest uploads this often
+const REFRESH_CHECK_MS = 30 * 60 * 1000;
+const REFRESH_MAX_PAGES = 4;                    // A curator posting 200+ videos in 6 h is not a curator
+const NEW_UPLOAD_DAYS = 14;                     // Cards from uploads this recent get the NUOVO badge
+// Uploads the filters can't judge yet cost a Discogs lookup each: after MIN_FILTER_LOOKUPS
+// of them, keep looking up only while at least MIN_FILTER_HIT_RATE of them made it to the feed
+const MIN_FILTER_LOOKUPS = 30;
+const MIN_FILTER_HIT_RATE = 0.05;
+
+const isPlaylist = ch => ch.kind === 'playlist';
+const sourceId = ch => (isPlaylist(ch) ? ch.playlistId : ch.channelId);
+const uploadsId = ch => (isPlaylist(ch) ? ch.playlistId : 'UU' + ch.channelId.slice(2));
+
+const cache = {}; // channel or playlist ID -> { videos: [], nextPageToken: null, isFullyLoaded: false, isSyncing: false, totalResults: null, refreshedAt: 0 }
+let refreshTimer = null;
+let filters = null; // This session's { keywords, years, genres, styles, sourceIds }; null = everything
+const rejectedVideos = new Set(); // Dropped by this session's filters once their release was known
+const lookedUpVideos = new Set(); // Picked while the filters couldn't judge them
+let filterHits = 0;
+
+// ─── Channel list ─────────────────────────────────────────────────────────────
+
+function _loadChannels() {
     try {
-        const stored = localStorage.getItem('seen_videos');
-        if (stored) return new Set(JSON.parse(stored));
+        const stored = JSON.parse(localStorage.getItem('curated_channels'));
+        if (Array.isArray(stored)) return stored;
     } catch (e) {}
-    return new Set();
+    return DEFAULT_CHANNELS.map(ch => ({ ...ch }));
+}
+
+function _storeChannels() {
+    try { localStorage.setItem('curated_channels', JSON.stringify(channels)); } catch (e) {}
+}
+
+function _saveChannels() {
+    _storeChannels();
+    document.dispatchEvent(new CustomEvent('channelsChanged'));
+}
+
+let channels = _loadChannels();
+
+// This session's sources: the picked ones when a single source is played, else every enabled one
+const _enabledChannels = () => (filters && filters.sourceIds.length > 0
+    ? channels.filter(ch => filters.sourceIds.includes(sourceId(ch)))
+    : channels.filter(ch => ch.enabled !== false));
+
+// 'random' (default) or 'latest': newest uploads across all channels first
+function _loadOrder() {
+    try { return localStorage.getItem('channel_order') === 'latest' ? 'latest' : 'random'; } catch (e) { return 'random'; }
+}
+let order = _loadOrder();
+
+// Sync state changed: lets the channel manager refresh its progress bars
+function _notifyProgress(ch) {
+    document.dispatchEvent(new CustomEvent('channelSyncProgress', { detail: { id: sourceId(ch) } }));
+}
+
+// Accepts a channel URL, an @handle or a UC… channel ID, and returns channels.list params;
+// or a playlist URL or ID, returned as { playlistId }
+function _parseChannelInput(input) {
+    const text = String(input || '').trim();
+    let m;
+    if ((m = text.match(/[?&]list=([\w-]+)/))) return { playlistId: m[1] };
+    if (PLAYLIST_ID_RE.test(text)) return { playlistId: text };
+    if ((m = text.match(/(?:^|\/channel\/)(UC[\w-]{22})(?:[/?#]|$)/))) return { id: m[1] };
+    if ((m = text.match(/(?:^|youtube\.com\/)@([\w.-]+)/))) return { forHandle: `@${m[1]}` };
+    if ((m = text.match(/youtube\.com\/user\/([\w.-]+)/))) return { forUsername: m[1] };
+    // Legacy /c/ URLs have no API lookup; the name is usually also the handle
+    if ((m = text.match(/youtube\.com\/c\/([\w.-]+)/))) return { forHandle: `@${m[1]}` };
+    if (/^[\w.-]+$/.test(text)) return { forHandle: `@${text}` };
+    return null;
 }
+
+// A plausible release year in a title or description ("(1974)", "℗ 1981", "Recorded 1969")
+function _yearHint(...texts) {
+    const lastYear = new Date().getFullYear();
+    for (const text of texts) {
+        const years = String(text || '').match(/\b(19[0-9]{2}|20[0-9]{2})\b/g) || [];
+        const year = years.map(Number).find(y => y >= 1900 && y <= lastYear);
+        if (year) return year;
+    }
+    return null;
+}
+
+// Persist seen videos across page reloads so the same videos never resurface.
+// Saving waits for the stored set to be loaded, so it can't be overwritten by a partial one.
+const seenVideos = new Set();
+const seenVideosReady = persistentStore.get('seen_videos').then(stored => {
+    (stored || []).forEach(id => seenVideos.add(id));
+});
 function _saveSeenVideos() {
-    try { localStorage.setItem('seen_videos', JSON.stringify([...seenVideos])); } catch (e) {}
+    seenVideosReady.then(() => persistentStore.set('seen_videos', [...seenVideos]));
 }
-const seenVideos = _loadSeenVideos();
 
 // ─── Cache Management ─────────────────────────────────────────────────────────
 
-function _ensureCache(handle) {
-    if (!cache[handle]) {
-        try {
-            const stored = localStorage.getItem(`channel_${handle}`);
-            if (stored) {
-                cache[handle] = JSON.parse(stored);
+// Archives are keyed by channel or playlist ID: handles are for display, and two
+// imported entries may well share one
+const cacheLoads = {}; // ID -> Promise, resolved once cache[ID] is in memory
+
+// Archives from before the ID keys were stored under the channel's handle
+async function _loadArchive(ch) {
+    const id = sourceId(ch);
+    const stored = await persistentStore.get(`channel_${id}`);
+    if (stored || !ch.handle || ch.handle === id) return stored;
+
+    const legacy = await persistentStore.get(`channel_${ch.handle}`);
+    if (legacy) {
+        persistentStore.set(`channel_${id}`, legacy);
+        persistentStore.remove(`channel_${ch.handle}`);
+    }
+    return legacy;
+}
+
+function _ensureCache(ch) {
+    const id = sourceId(ch);
+    if (!cacheLoads[id]) {
+        cacheLoads[id] = _loadArchive(ch).then(stored => {
+            cache[id] = {
+                nextPageToken: null,
+                isFullyLoaded: false,
+                ...(stored || {}),
                 // Fix for old cache format
-                if (!cache[handle].videos) cache[handle].videos = [];
-            } else {
-                cache[handle] = { videos: [], nextPageToken: null, isFullyLoaded: false, isSyncing: false };
-            }
-        } catch (e) {
-            cache[handle] = { videos: [], nextPageToken: null, isFullyLoaded: false, isSyncing: false };
-        }
-        cache[handle].isSyncing = false; // Reset on load
+                videos: (stored && stored.videos) || [],
+                isSyncing: false // Reset on load
+            };
+        });
     }
+    return cacheLoads[id];
 }
 
-function _saveCache(handle) {
-    if (cache[handle]) {
-        try {
-            localStorage.setItem(`channel_${handle}`, JSON.stringify({
-                videos: cache[handle].videos,
-                nextPageToken: cache[handle].nextPageToken,
-                isFullyLoaded: cache[handle].isFullyLoaded
-            }));
-        } catch (e) { /* ignore quota/storage errors */ }
+function _saveCache(ch) {
+    const state = cache[sourceId(ch)];
+    if (state) {
+        persistentStore.set(`channel_${sourceId(ch)}`, {
+            videos: state.videos,
+            nextPageToken: state.nextPageToken,
+            isFullyLoaded: state.isFullyLoaded,
+            totalResults: state.totalResults ?? null,
+            refreshedAt: state.refreshedAt || 0
+        });
+        _storeSummary(ch, state);
     }
 }
 
+// The channel list carries each archive's size, so the manager can show it
+// without reading archives that aren't played
+function _storeSummary(ch, archive) {
+    ch.videoCount = (archive && archive.videos && archive.videos.length) || 0;
+    ch.totalResults = (archive && archive.totalResults) ?? null;
+    ch.isFullyLoaded = !!(archive && archive.isFullyLoaded);
+    _storeChannels();
+}
+
+// Lists saved before the summaries existed: read each archive once for its size, without keeping it
+const summaryLoads = new Set();
+function _backfillSummary(ch) {
+    if (summaryLoads.has(sourceId(ch))) return;
+    summaryLoads.add(sourceId(ch));
+    _loadArchive(ch).then(stored => {
+        // Its archive may have come into memory for playback meanwhile
+        _storeSummary(ch, cache[sourceId(ch)] || stored);
+        _notifyProgress(ch);
+    });
+}
+
 // ─── RSS Quick Fetch (for instant startup if empty) ───────────────────────────
 
 async function fetchRssForInstantStart(ch) {
-    const state = cache[ch.handle];
+    const state = cache[sourceId(ch)];
     try {
-        const res = await fetch(`/api/yt-rss/${ch.channelId}`);
+        const res = await fetch(isPlaylist(ch) ? `/api/yt-rss-playlist/${ch.playlistId}` : `/api/yt-rss/${ch.channelId}`);
         if (!res.ok) return false;
         const xml = await res.text();
         const doc = new DOMParser().parseFromString(xml, 'application/xml');
@@ -82,12 +214,16 @@ async function fetchRssForInstantStart(ch) {
             const idText = entry.querySelector('id')?.textContent || '';
             const videoId = idText.startsWith('yt:video:') ? idText.slice(9) : null;
             if (!videoId) return null;
+            const title = entry.querySelector('title')?.textContent || '';
+            const description = entry.getElementsByTagName('media:description')[0]?.textContent || '';
             return {
                 contentDetails: { videoId },
                 snippet: {
-                    title: entry.querySelector('title')?.textContent || '',
+                    title,
                     publishedAt: entry.querySelector('published')?.textContent || '',
-                    channelTitle,
+                    yearHint: _yearHint(title, description),
+                    // A playlist mixes uploaders: each entry names its own
+                    channelTitle: entry.querySelector('author name')?.textContent || channelTitle,
                     thumbnails: { high: { url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` } },
                 },
             };
@@ -98,7 +234,7 @@ async function fetchRssForInstantStart(ch) {
 
         if (newItems.length > 0) {
             state.videos.push(...newItems);
-            _saveCache(ch.handle);
+            _saveCache(ch);
         }
         return true;
     } catch (e) {
@@ -108,19 +244,22 @@ async function fetchRssForInstantStart(ch) {
 
 // ─── YouTube Data API Background Sync ─────────────────────────────────────────
 
-async function loadPlaylistPage(ch) {
+// One page of the uploads playlist, newest first: { items, nextPageToken }
+async function fetchUploadsPage(ch, pageToken) {
     const pid = uploadsId(ch);
-    const state = cache[ch.handle];
+    const state = cache[sourceId(ch)];
 
-    let url = `${CONFIG.YOUTUBE_BASE_URL}/playlistItems?part=snippet,contentDetails&playlistId=${pid}&maxResults=50&key=${CONFIG.YOUTUBE_API_KEY}`;
-    if (state.nextPageToken) url += `&pageToken=${state.nextPageToken}`;
+    const params = new URLSearchParams({ part: 'snippet,contentDetails', playlistId: pid, maxResults: 50 });
+    if (pageToken) params.set('pageToken', pageToken);
 
-    const res = await fetch(url);
+    // Throws QUOTA_LOW once background sync has used up its share of the day
+    const res = await youtubeQuota.fetch('playlistItems', params, 'sync');
     if (!res.ok) {
-        if (res.status === 403 || res.status === 400) {
-            state.isFullyLoaded = true; // API key error or quota exceeded, stop trying forever
-            _saveCache(ch.handle);
+        if (res.status === 400 || res.status === 404) {
+            state.isFullyLoaded = true; // Bad or missing uploads playlist, stop trying forever
+            _saveCache(ch);
         }
+        // 403 (quota) only pauses: the ledger resumes the sync after the daily reset
         throw new Error(`YT API ${res.status}`);
     }
     const data = await res.json();
@@ -135,30 +274,50 @@ async function loadPlaylistPage(ch) {
             snippet: {
                 title: title,
                 publishedAt: item.snippet?.publishedAt || '',
-                channelTitle: item.snippet?.channelTitle || ch.handle,
+                // Only the year survives from the description: a whole archive of them won't fit in storage
+                yearHint: _yearHint(title, item.snippet?.description),
+                // In a playlist, channelTitle is the playlist's owner, not the uploader
+                channelTitle: item.snippet?.videoOwnerChannelTitle || item.snippet?.channelTitle || ch.title || ch.handle,
                 thumbnails: { high: { url: `https://i.ytimg.com/vi/${vid}/hqdefault.jpg` } }
             }
         };
     }).filter(Boolean);
 
+    // Size of the whole uploads playlist, returned free with every page: drives the progress bar
+    if (data.pageInfo && typeof data.pageInfo.totalResults === 'number') {
+        state.totalResults = data.pageInfo.totalResults;
+    }
+
+    return { items, nextPageToken: data.nextPageToken || null };
+}
+
+async function loadPlaylistPage(ch) {
+    const state = cache[sourceId(ch)];
+    const isFirstPage = !state.nextPageToken;
+    const { items, nextPageToken } = await fetchUploadsPage(ch, state.nextPageToken);
+
     // De-duplicate
     const existingIds = new Set(state.videos.map(v => v.contentDetails.videoId));
     const newItems = items.filter(v => !existingIds.has(v.contentDetails.videoId));
 
     state.videos.push(...newItems);
-    state.nextPageToken = data.nextPageToken || null;
+    state.nextPageToken = nextPageToken;
+    // The first page is the newest one: the archive is as fresh as a refresh would make it
+    if (isFirstPage) state.refreshedAt = Date.now();
     if (!state.nextPageToken) {
         state.isFullyLoaded = true;
     }
 
-    _saveCache(ch.handle);
+    _saveCache(ch);
+    _notifyProgress(ch);
 }
 
 async function scrapeChannelInBackground(ch) {
-    _ensureCache(ch.handle);
-    const state = cache[ch.handle];
+    await _ensureCache(ch);
+    const state = cache[sourceId(ch)];
     if (state.isSyncing || state.isFullyLoaded) return;
     state.isSyncing = true;
+    _notifyProgress(ch);
 
     try {
         while (!state.isFullyLoaded) {
@@ -169,7 +328,164 @@ async function scrapeChannelInBackground(ch) {
         console.warn(`[channelService] background sync paused for ${ch.handle}`);
     } finally {
         state.isSyncing = false;
+        _notifyProgress(ch);
+    }
+}
+
+// ─── Incremental refresh ──────────────────────────────────────────────────────
+
+// A finished archive never re-reads its pages: walk the newest ones until we
+// hit an upload we already know, and put what's new in front.
+// Playlists are in their owner's order, not newest first: there a changed item
+// count on the first page sends the archive sync through the whole list again.
+async function refreshChannel(ch) {
+    await _ensureCache(ch);
+    const state = cache[sourceId(ch)];
+    if (state.isRefreshing) return;
+    state.isRefreshing = true;
+    let resync = false;
+
+    try {
+        if (!youtubeQuota.allows('sync')) {
+            // RSS lists the latest 15 uploads for free: enough between two refreshes
+            if (await fetchRssForInstantStart(ch)) state.refreshedAt = Date.now();
+            _saveCache(ch);
+            return;
+        }
+
+        const knownIds = new Set(state.videos.map(v => v.contentDetails.videoId));
+        const knownTotal = state.totalResults ?? null;
+        const fresh = [];
+        let pageToken = null;
+        for (let page = 0; page < REFRESH_MAX_PAGES; page++) {
+            const { items, nextPageToken } = await fetchUploadsPage(ch, pageToken);
+            const unknown = items.filter(v => !knownIds.has(v.contentDetails.videoId));
+            fresh.push(...unknown);
+            if (isPlaylist(ch) || unknown.length < items.length || !nextPageToken) break;
+            pageToken = nextPageToken;
+        }
+
+        if (isPlaylist(ch) && knownTotal !== null && state.totalResults !== knownTotal && !state.isSyncing) {
+            state.isFullyLoaded = false;
+            state.nextPageToken = null;
+            resync = true;
+        }
+
+        // The archive sync may have appended some of these meanwhile
+        const existingIds = new Set(state.videos.map(v => v.contentDetails.videoId));
+        state.videos.unshift(...fresh.filter(v => !existingIds.has(v.contentDetails.videoId)));
+        state.refreshedAt = Date.now();
+        _saveCache(ch);
+    } catch (err) {
+        console.warn(`[channelService] refresh failed for ${ch.handle}`);
+    } finally {
+        state.isRefreshing = false;
+        _notifyProgress(ch);
+    }
+    if (resync) scrapeChannelInBackground(ch).catch(() => { });
+}
+
+// Channels with an archive older than REFRESH_INTERVAL_MS; empty ones are the archive sync's job
+function refreshStaleChannels() {
+    return Promise.all(_enabledChannels()
+        .filter(ch => cache[sourceId(ch)] && cache[sourceId(ch)].videos.length > 0)
+        .filter(ch => Date.now() - (cache[sourceId(ch)].refreshedAt || 0) > REFRESH_INTERVAL_MS)
+        .map(ch => refreshChannel(ch)));
+}
+
+function _isNewUpload(snippet) {
+    const published = Date.parse(snippet.publishedAt || '');
+    return !isNaN(published) && Date.now() - published < NEW_UPLOAD_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+
+function _videoYear(item, match) {
+    const year = match && parseInt(match.year, 10);
+    return year || item.snippet?.yearHint || _yearHint(item.snippet?.title);
+}
+
+// Would the filters need a Discogs lookup to judge this upload?
+function _needsLookup(item, match) {
+    if (!filters || match !== undefined) return false;
+    if (filters.genres.length > 0 || filters.styles.length > 0) return true;
+    return filters.years.length > 0 && !_videoYear(item, match);
+}
+
+function _lookupsPayOff() {
+    return lookedUpVideos.size < MIN_FILTER_LOOKUPS || filterHits / lookedUpVideos.size >= MIN_FILTER_HIT_RATE;
+}
+
+// Could this upload satisfy the session filters? Metadata we don't have yet counts
+// as a maybe while lookups pay off: dataBuffer asks again once discogsMatcher has
+// looked the video up. When they don't, only already-known releases are played.
+function _mayPassFilters(item) {
+    if (!filters) return true;
+    if (rejectedVideos.has(item.contentDetails.videoId)) return false;
+    const match = discogsMatcher.getCachedMatch(item.contentDetails.videoId);
+    if (_needsLookup(item, match) && !_lookupsPayOff()) return false;
+
+    // Keywords are alternatives, like every other multi-value criterion
+    if (filters.keywords.length > 0) {
+        const title = textUtils.fold(item.snippet?.title);
+        if (!filters.keywords.some(k => title.includes(k))) return false;
+    }
+
+    if (filters.years.length > 0) {
+        const year = _videoYear(item, match);
+        if (year) {
+            const inSpan = filters.years.some(span => {
+                const [from, to] = span.split('-').map(Number);
+                return year >= from && year <= to;
+            });
+            if (!inSpan) return false;
+        } else if (match !== undefined) {
+            return false; // Looked up, and still no year to go by
+        }
+    }
+
+    if (filters.genres.length > 0 || filters.styles.length > 0) {
+        if (match === null) return false; // Not on Discogs: no genre to go by
+        if (match) {
+            if (filters.genres.length > 0 && !filters.genres.some(g => match.genres.includes(g))) return false;
+            if (filters.styles.length > 0 && !filters.styles.some(s => (match.styles || []).includes(s))) return false;
+        }
     }
+    return true;
+}
+
+// Each ready channel's filtered archive and its draw weight: the archive size, so a
+// 4 000-upload channel outweighs a 40-upload one, times the channel's own multiplier.
+// Uploads found dead by videoAvailability are left out.
+function _candidatePools(readyChannels) {
+    return readyChannels.map(ch => {
+        const videos = cache[sourceId(ch)].videos
+            .filter(item => videoAvailability.isPlayable(item.contentDetails.videoId) && _mayPassFilters(item));
+        return { ch, videos, weight: videos.length * (ch.weight ?? 1) };
+    }).filter(pool => pool.weight > 0);
+}
+
+function _pickWeighted(pools) {
+    const total = pools.reduce((sum, pool) => sum + pool.weight, 0);
+    let r = Math.random() * total;
+    for (const pool of pools) {
+        r -= pool.weight;
+        if (r < 0) return pool;
+    }
+    return pools[pools.length - 1];
+}
+
+// 'latest' mode: the newest unseen upload across every ready channel
+function _pickLatest(pools) {
+    let best = null;
+    pools.forEach(({ ch, videos }) => {
+        videos.forEach(item => {
+            if (seenVideos.has(item.contentDetails.videoId)) return;
+            const published = Date.parse(item.snippet?.publishedAt || '') || 0;
+            if (!best || published > best.published) best = { ch, item, published };
+        });
+    });
+    return best;
 }
 
 // ─── Title parser ─────────────────────────────────────────────────────────────
@@ -184,39 +500,64 @@ function parseTitle(raw) {
 
 export const channelService = {
     async init() {
+        const enabled = _enabledChannels();
+
         // Prepare caches instantly
-        CHANNELS.forEach(ch => _ensureCache(ch.handle));
+        await Promise.all([seenVideosReady, ...enabled.map(ch => _ensureCache(ch))]);
 
         // Start background synchronization to archive the channel (non-blocking)
-        CHANNELS.forEach(ch => scrapeChannelInBackground(ch).catch(() => { }));
-
-        // If caches are completely empty right now, fetch RSS once to get going instantly
-        const emptyChannels = CHANNELS.filter(ch => cache[ch.handle].videos.length === 0);
-        if (emptyChannels.length > 0) {
-            await Promise.all(emptyChannels.map(ch => fetchRssForInstantStart(ch)));
+        enabled.forEach(ch => scrapeChannelInBackground(ch).catch(() => { }));
+
+        // If caches are completely empty right now, fetch RSS once to get going instantly.
+        // With no quota left for syncing, RSS (0 units) is the only way to see new uploads.
+        const rssChannels = youtubeQuota.allows('sync')
+            ? enabled.filter(ch => cache[sourceId(ch)].videos.length === 0)
+            : enabled;
+        if (rssChannels.length > 0) {
+            await Promise.all(rssChannels.map(ch => fetchRssForInstantStart(ch)));
         }
+
+        // New uploads of already-archived channels.
+        // Each refresh costs a unit or two and stays within the 'sync' tier.
+        refreshStaleChannels();
+    },
+
+    // Keep checking for new uploads while channel mode plays; clearSession stops it
+    keepRefreshing() {
+        if (!refreshTimer) refreshTimer = setInterval(refreshStaleChannels, REFRESH_CHECK_MS);
     },
 
     hasAnyVideos() {
-        return CHANNELS.some(ch => (cache[ch.handle]?.videos?.length ?? 0) > 0);
+        return _enabledChannels().some(ch => (cache[sourceId(ch)]?.videos?.length ?? 0) > 0);
     },
 
     async fetchRandomVideo() {
         // Pick among channels that possess videos 
-        const readyChannels = CHANNELS.filter(ch => cache[ch.handle] && cache[ch.handle].videos.length > 0);
+        const readyChannels = _enabledChannels().filter(ch => cache[sourceId(ch)] && cache[sourceId(ch)].videos.length > 0);
         if (readyChannels.length === 0) return null;
 
-        const ch = readyChannels[Math.floor(Math.random() * readyChannels.length)];
-        const pool = cache[ch.handle].videos;
+        const pools = _candidatePools(readyChannels);
+        if (pools.length === 0) {
+            const error = new Error('No channel video matches the filters');
+            error.code = 'ZERO_RESULTS';
+            throw error;
+        }
 
-        const unseen = pool.filter(v => !seenVideos.has(v.contentDetails.videoId));
-        const candidates = unseen.length ? unseen : pool;
-        const item = candidates[Math.floor(Math.random() * candidates.length)];
+        // Latest-first falls back to random once every upload has been seen
+        const latest = order === 'latest' ? _pickLatest(pools) : null;
+        let ch, item;
+        if (latest) {
+            ({ ch, item } = latest);
+        } else {
+            const pool = _pickWeighted(pools);
+            ch = pool.ch;
+
+            const unseen = pool.videos.filter(v => !seenVideos.has(v.contentDetails.videoId));
+            const candidates = unseen.length ? unseen : pool.videos;
+            item = candidates[Math.floor(Math.random() * candidates.length)];
+        }
         const videoId = item.contentDetails.videoId;
-
-        seenVideos.add(videoId);
-        if (seenVideos.size > 2000) seenVideos.delete(seenVideos.values().next().value);
-        _saveSeenVideos();
+        if (_needsLookup(item, discogsMatcher.getCachedMatch(videoId))) lookedUpVideos.add(videoId);
 
         const snippet = item.snippet || {};
         const { artist, title } = parseTitle(snippet.title || '');
@@ -234,11 +575,230 @@ export const channelService = {
             youtubePlaylistId: null,
             trackList: [],
             isChannelMode: true,
+            isNew: _isNewUpload(snippet),
+            // What discogsMatcher searches Discogs with; archives from before year hints re-read the title
+            matchHints: {
+                artist,
+                title: title || snippet.title || '',
+                year: snippet.yearHint ?? _yearHint(snippet.title)
+            },
+        };
+    },
+
+    // Session filters: { keywords: [], years: ["from-to"], genres: [], styles: [], sourceIds: [] }
+    // (sourceIds plays just those sources, enabled or not); null clears them
+    setFilters(sessionFilters) {
+        const f = sessionFilters || {};
+        const next = {
+            keywords: (f.keywords || []).map(k => textUtils.fold(k).trim()).filter(Boolean),
+            years: f.years || [],
+            genres: f.genres || [],
+            styles: f.styles || [],
+            sourceIds: f.sourceIds || []
         };
+        filters = Object.values(next).some(list => list.length > 0) ? next : null;
+    },
+
+    // Final word on a video once discogsMatcher has had its go at it. A rejected
+    // video is left out for the rest of the session, but not marked as seen.
+    passesFilters(videoId) {
+        for (const ch of _enabledChannels()) {
+            const item = cache[sourceId(ch)]?.videos.find(v => v.contentDetails.videoId === videoId);
+            if (!item) continue;
+            const passes = _mayPassFilters(item);
+            if (!passes) rejectedVideos.add(videoId);
+            else if (lookedUpVideos.has(videoId)) filterHits++;
+            return passes;
+        }
+        return true;
+    },
+
+    // The video made it into the feed: don't offer it again (see clearSession)
+    markSeen(videoId) {
+        seenVideos.add(videoId);
+        if (seenVideos.size > 2000) seenVideos.delete(seenVideos.values().next().value);
+        _saveSeenVideos();
+    },
+
+    getOrder() {
+        return order;
+    },
+
+    setOrder(value) {
+        order = value === 'latest' ? 'latest' : 'random';
+        try { localStorage.setItem('channel_order', order); } catch (e) {}
+    },
+
+    // ─── Channel list management ────────────────────────────────────────────
+
+    // Every source with its archive state: { ..., id, kind, videos, totalResults, isFullyLoaded, isSyncing, isRefreshing }.
+    // Archives only come into memory once their source is played; the others report
+    // the summary stored with the channel list.
+    getChannels() {
+        return channels.map(ch => {
+            const state = cache[sourceId(ch)];
+            if (!state && ch.videoCount === undefined) _backfillSummary(ch);
+            const { videoCount, ...meta } = ch;
+            return {
+                ...meta,
+                id: sourceId(ch),
+                kind: isPlaylist(ch) ? 'playlist' : 'channel',
+                enabled: ch.enabled !== false,
+                weight: ch.weight ?? 1,
+                videos: state ? state.videos.length : videoCount || 0,
+                totalResults: (state ? state.totalResults : ch.totalResults) ?? null,
+                isFullyLoaded: state ? state.isFullyLoaded : !!ch.isFullyLoaded,
+                isSyncing: !!(state && state.isSyncing),
+                isRefreshing: !!(state && state.isRefreshing)
+            };
+        });
+    },
+
+    // Resolve a channel URL, @handle or ID, or a playlist URL or ID (1 quota unit), and add it
+    async addChannel(input) {
+        const lookup = _parseChannelInput(input);
+        if (!lookup) {
+            const error = new Error(`Not a channel: ${input}`);
+            error.code = 'INVALID_CHANNEL';
+            throw error;
+        }
+
+        const endpoint = lookup.playlistId ? 'playlists' : 'channels';
+        const params = new URLSearchParams(lookup.playlistId
+            ? { part: 'snippet', id: lookup.playlistId }
+            : { part: 'snippet', ...lookup });
+        const response = await youtubeQuota.fetch(endpoint, params, 'api');
+        if (!response.ok) throw new Error(`YouTube API Error: ${response.status}`);
+
+        const item = ((await response.json()).items || [])[0];
+        if (!item) {
+            const error = new Error(`Channel not found: ${input}`);
+            error.code = 'CHANNEL_NOT_FOUND';
+            throw error;
+        }
+        if (channels.some(ch => sourceId(ch) === item.id)) {
+            const error = new Error(`Channel already listed: ${item.id}`);
+            error.code = 'CHANNEL_EXISTS';
+            throw error;
+        }
+
+        const ch = lookup.playlistId
+            ? {
+                kind: 'playlist',
+                handle: item.id,
+                playlistId: item.id,
+                title: item.snippet.title || item.id,
+                enabled: true,
+                weight: 1
+            }
+            : {
+                handle: (item.snippet.customUrl || item.id).replace(/^@/, ''),
+                channelId: item.id,
+                title: item.snippet.title || item.id,
+                enabled: true,
+                weight: 1
+            };
+        channels.push(ch);
+        _saveChannels();
+
+        // Start archiving right away, so the manager shows progress
+        await _ensureCache(ch);
+        fetchRssForInstantStart(ch).then(() => _notifyProgress(ch));
+        scrapeChannelInBackground(ch).catch(() => { });
+        return ch;
+    },
+
+    // Drops the source and its archive
+    removeChannel(id) {
+        const ch = channels.find(c => sourceId(c) === id);
+        if (!ch) return;
+        channels = channels.filter(c => c !== ch);
+        delete cache[sourceId(ch)];
+        delete cacheLoads[sourceId(ch)];
+        persistentStore.remove(`channel_${sourceId(ch)}`);
+        _saveChannels();
+    },
+
+    getWeightOptions() {
+        return CHANNEL_WEIGHTS;
+    },
+
+    setChannelWeight(id, weight) {
+        const ch = channels.find(c => sourceId(c) === id);
+        if (!ch || !CHANNEL_WEIGHTS.includes(weight)) return;
+        ch.weight = weight;
+        _saveChannels();
+    },
+
+    // Disabled sources keep their archive but are left out of the feed and of syncing
+    setChannelEnabled(id, enabled) {
+        const ch = channels.find(c => sourceId(c) === id);
+        if (!ch) return;
+        ch.enabled = !!enabled;
+        _saveChannels();
+        // A source that sat disabled may have missed its sync: resume it now, not at the next reload
+        if (ch.enabled) scrapeChannelInBackground(ch).catch(() => { });
+    },
+
+    exportChannels() {
+        return JSON.stringify({
+            version: 1,
+            channels: channels.map(ch => ({
+                ...(isPlaylist(ch) ? { kind: 'playlist', playlistId: ch.playlistId } : { handle: ch.handle, channelId: ch.channelId }),
+                title: ch.title,
+                enabled: ch.enabled !== false,
+                weight: ch.weight ?? 1
+            }))
+        }, null, 2);
+    },
+
+    // Merge a shared list into ours; returns how many sources were new
+    importChannels(json) {
+        let list;
+        try {
+            const parsed = JSON.parse(json);
+            list = Array.isArray(parsed) ? parsed : parsed.channels;
+        } catch (e) {
+            list = null;
+        }
+        if (!Array.isArray(list)) {
+            const error = new Error('Not a channel list');
+            error.code = 'INVALID_IMPORT';
+            throw error;
+        }
+
+        let added = 0;
+        list.forEach(entry => {
+            if (!entry) return;
+            const playlist = entry.kind === 'playlist';
+            const id = playlist ? entry.playlistId : entry.channelId;
+            if (!(playlist ? PLAYLIST_ID_RE : CHANNEL_ID_RE).test(id)) return;
+            if (channels.some(ch => sourceId(ch) === id)) return;
+
+            const common = {
+                title: String(entry.title || entry.handle || id),
+                enabled: entry.enabled !== false,
+                weight: CHANNEL_WEIGHTS.includes(entry.weight) ? entry.weight : 1
+            };
+            channels.push(playlist
+                ? { kind: 'playlist', handle: id, playlistId: id, ...common }
+                : { handle: String(entry.handle || id).replace(/^@/, ''), channelId: id, ...common });
+            added++;
+        });
+        if (added > 0) _saveChannels();
+        return added;
     },
 
     // seenVideos is intentionally NOT cleared here: same reason as discogsService.
     // Keeping it persistent across back-and-forth navigations prevents the same
     // videos from cycling back immediately. The set auto-rotates at 2 000 entries.
-    clearSession() {},
+    // Also ends the periodic refresh: outside channel mode it would only spend quota.
+    clearSession() {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+        filters = null;
+        rejectedVideos.clear();
+        lookedUpVideos.clear();
+        filterHits = 0;
+    },
 };
@@ -0,0 +1,68 @@
+/**
+ * collectionService — streams a Discogs user's collection folder or wantlist.
+ *
+ * Large collections start playing right away: page 1 is fetched and shuffled
+ * first, then the remaining pages are pulled one at a time in random order,
+ * only when the previous one has been handed out.
+ * Only summaries come from here; videos are pulled by discogsService.fetchReleaseDetails.
+ */
+import { discogsService } from './discogsService.js';
+import { arrayUtils } from './arrayUtils.js';
+
+const PER_PAGE = 100;
+
+let source = null;   // { username, kind: 'collection' | 'wantlist', folderId }
+let buffer = [];
+let pages = null;    // Unknown until the first page answers
+let unvisited = [];
+const emittedIds = new Set(); // The "All" folder can list the same release twice
+
+async function _loadPage(page) {
+    const data = source.kind === 'wantlist'
+        ? await discogsService.fetchWantlistPage(source.username, page, PER_PAGE)
+        : await discogsService.fetchCollectionPage(source.username, source.folderId, page, PER_PAGE);
+
+    if (pages === null) {
+        pages = data.pages;
+        unvisited = Array.from({ length: Math.max(0, data.pages - 1) }, (_, i) => i + 2);
+    }
+    buffer.push(...arrayUtils.shuffle(data.releases));
+}
+
+export const collectionService = {
+    init(selectedSource) {
+        source = { folderId: 0, ...selectedSource };
+        buffer = [];
+        pages = null;
+        unvisited = [];
+        emittedIds.clear();
+    },
+
+    // Next release summary ({ id, title, artist }), or null once everything was handed out
+    async nextRelease() {
+        while (true) {
+            if (buffer.length === 0) {
+                if (pages === null) {
+                    await _loadPage(1);
+                } else if (unvisited.length > 0) {
+                    // Only mark the page visited once it loaded, so a failed fetch can be retried
+                    const page = unvisited[Math.floor(Math.random() * unvisited.length)];
+                    await _loadPage(page);
+                    unvisited = unvisited.filter(p => p !== page);
+                } else {
+                    return null;
+                }
+                continue;
+            }
+
+            const release = buffer.shift();
+            if (emittedIds.has(release.id)) continue;
+            emittedIds.add(release.id);
+            return release;
+        }
+    },
+
+    getSourceName() {
+        return source && source.kind === 'wantlist' ? 'Wantlist' : 'Collezione';
+    }
+};
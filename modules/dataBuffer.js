@@ -1,14 +1,114 @@
 import { discogsService } from './discogsService.js';
 import { channelService } from './channelService.js';
+import { labelService } from './labelService.js';
+import { collectionService } from './collectionService.js';
+import { youtubeService } from './youtubeService.js';
+import { youtubeQuota } from './youtubeQuota.js';
+import { videoAvailability } from './videoAvailability.js';
+import { discogsMatcher } from './discogsMatcher.js';
+import { marketplaceService } from './marketplaceService.js';
+import { asyncQueue } from './asyncQueue.js';
+
+// Obscurity steering: how many Discogs users own a record ("have") tells mainstream
+// from deep cuts. Albums are kept with a probability that depends on the level, so
+// 'deep' still lets the odd borderline record through instead of starving the feed.
+// Digging is for overlooked records, not bad ones: in 'deep', a poor community
+// rating halves the chance (unrated records, the usual case there, are not penalised).
+const DEEP_CUT_MAX_HAVE = 50;
+const MAINSTREAM_MIN_HAVE = 500;
+const POOR_RATING = 3;
+const POOR_RATING_KEEP = 0.5;
+
+function _obscurityKeepChance(album, level) {
+    if (!level || level === 'balanced' || album.have === null || album.have === undefined) return 1;
+
+    const have = album.have;
+    if (level === 'deep') {
+        const chance = have <= DEEP_CUT_MAX_HAVE ? 1 : Math.pow(DEEP_CUT_MAX_HAVE / have, 2);
+        return album.rating !== null && album.rating !== undefined && album.rating < POOR_RATING
+            ? chance * POOR_RATING_KEEP
+            : chance;
+    }
+    if (level === 'mainstream') {
+        return have >= MAINSTREAM_MIN_HAVE ? 1 : Math.max(0.05, have / MAINSTREAM_MIN_HAVE);
+    }
+    return 1;
+}
+
+// Swipe pace: the ready queue holds about LOOKAHEAD_MS worth of cards at the pace
+// the user goes through them, so fast skimmers don't hit empty cards and slow
+// listeners don't make us fetch records they'll never reach.
+const LOOKAHEAD_MS = 100000;
+const DEFAULT_CARD_MS = 20000; // 5 ready cards until the pace is known
+const MAX_CARD_MS = 120000;    // Listening to a whole album says little about the next swipe
+const BURST_MS = 250;          // feedManager asks for several slots at once when (re)filling
+const PACE_SMOOTHING = 0.3;
+const MIN_READY = 3;
+const MAX_READY = 12;
+const ALBUMS_PER_READY = 3;    // Most Discogs releases have no usable video
+
+// An already-closed queue: consume() before the first pipeline returns null right away
+function _closedQueue() {
+    const queue = asyncQueue.create(0);
+    queue.close();
+    return queue;
+}
+
+// "Only releases for sale": asked live, since the release payload (and its num_for_sale)
+// can come from a cache weeks old. An album whose stats can't be had is skipped, not
+// assumed for sale: with the marketplace down the filter would otherwise let everything through.
+async function _isForSale(album, priority) {
+    return await marketplaceService.isForSale(album.releaseId, priority) === true;
+}
+
+// Prefetch yields to whatever the user is looking at, unless the feed is about to
+// run dry: then the next card is what the user is waiting for.
+function _prefetchPriority(readyQueue) {
+    return readyQueue.length === 0 ? 'normal' : 'low';
+}
+
+// The card starts on the album's first track; the player then follows the tracklist
+// (see feedManager.createPlayerIfNeeded). Without a play order, pick at random.
+// Dead, private or non-embeddable links never reach a card (needs a videoAvailability.check() first)
+function _dropUnplayable(album) {
+    album.youtubeVideoIds = (album.youtubeVideoIds || []).filter(id => videoAvailability.isPlayable(id));
+    if (album.playOrder) album.playOrder = album.playOrder.filter(id => videoAvailability.isPlayable(id));
+}
+
+function _firstVideo(album) {
+    if (album.playOrder && album.playOrder.length > 0) return album.playOrder[0];
+    const ids = album.youtubeVideoIds || [];
+    return ids.length > 0 ? ids[Math.floor(Math.random() * ids.length)] : null;
+}
+
+// Opt-in fallback for albums Discogs has no video for: the best-scoring YouTube
+// search result, or nothing when no candidate is trustworthy or the quota is short.
+async function _attachSearchMatch(album) {
+    if (!youtubeQuota.allows('search', 'search')) return false;
+    try {
+        const match = await youtubeService.searchVideo(album);
+        if (!match) return false;
+        album.youtubeVideoIds = [match.videoId];
+        album.playOrder = [match.videoId];
+        album.autoMatched = { score: match.score };
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
 
 export const dataBuffer = {
-    albumQueue: [],
-    readyQueue: [],
+    // Each pipeline gets its own pair of queues; closing them is what ends its loops
+    albumQueue: _closedQueue(),
+    readyQueue: _closedQueue(),
     TARGET_ALBUM_QUEUE: 15,
     TARGET_READY_QUEUE: 5,
     isRunning: false,
     criteria: null,
+    detour: null, // { queue, title } while an artist deep-dive replaces the main stream
     _generation: 0,
+    _cardMs: DEFAULT_CARD_MS, // Smoothed time between two consume() calls
+    _lastConsumeAt: 0,
 
     startPipeline(criteria) {
         // Increment generation to invalidate any loops from a previous pipeline
@@ -17,35 +117,137 @@ export const dataBuffer = {
 
         // Reset Discogs caches so every new exploration starts with fresh, unpredictable results
         discogsService.clearSession();
+        channelService.clearSession();
 
         this.criteria = criteria;
-        this.albumQueue = [];
-        this.readyQueue = [];
+        this.endDetour();
+        this._resetQueues();
         this.isRunning = true;
 
-        // Loop 1: Discogs Queue (always keep ~15 albums ready)
+        // Loop 1: Discogs Queue (keeps TARGET_ALBUM_QUEUE albums ready)
         this.runDiscogsLoop(gen);
 
-        // Loop 2: YouTube Queue (always keep ~5 full items ready)
+        // Loop 2: YouTube Queue (keeps TARGET_READY_QUEUE full items ready)
         this.runYoutubeLoop(gen);
     },
 
-    startChannelPipeline() {
+    // `filters`: see channelService.setFilters; omitted = the whole archive
+    startChannelPipeline(filters = null) {
         this._generation++;
         const gen = this._generation;
 
         channelService.clearSession();
+        channelService.setFilters(filters);
 
-        this.albumQueue = [];
-        this.readyQueue = [];
+        this.endDetour();
+        this._resetQueues();
         this.isRunning = true;
 
         this.runChannelsLoop(gen);
     },
 
+    startLabelPipeline(labels, order) {
+        this._generation++;
+        const gen = this._generation;
+
+        discogsService.clearSession();
+        channelService.clearSession();
+        labelService.init(labels, order);
+
+        this.endDetour();
+        this._resetQueues();
+        this.isRunning = true;
+
+        // Loop 1: walk the label catalogues into the album queue
+        this.runCatalogueLoop(gen, {
+            next: () => labelService.nextRelease(),
+            category: summary => summary.labelName,
+            // The walked label's catalogue number wins over the release's first label
+            decorate: (album, summary) => ({ ...album, label: summary.labelName, catno: summary.catno || album.catno })
+        });
+
+        // Loop 2: same video picking as the random Discogs pipeline
+        this.runYoutubeLoop(gen);
+    },
+
+    // source: { username, kind: 'collection' | 'wantlist', folderId }
+    startCollectionPipeline(source) {
+        this._generation++;
+        const gen = this._generation;
+
+        discogsService.clearSession();
+        channelService.clearSession();
+        collectionService.init(source);
+
+        this.endDetour();
+        this._resetQueues();
+        this.isRunning = true;
+
+        const sourceName = collectionService.getSourceName();
+        this.runCatalogueLoop(gen, {
+            next: () => collectionService.nextRelease(),
+            category: () => sourceName,
+            decorate: album => album
+        });
+        this.runYoutubeLoop(gen);
+    },
+
+    // Shared producer for finite sources (label catalogues, collections): pulls release
+    // summaries from source.next() until it returns null, then lets the feed drain.
+    async runCatalogueLoop(gen, source) {
+        const { albumQueue, readyQueue } = this;
+        let queuedAny = false;
+
+        while (this.isRunning && this._generation === gen) {
+            // Don't walk the catalogue further ahead than the YouTube loop can use
+            if (!await albumQueue.waitForSpace()) return;
+            try {
+                const summary = await source.next();
+                if (this._generation !== gen) return;
+
+                if (!summary) {
+                    // Catalogue fully walked
+                    if (!queuedAny) {
+                        document.dispatchEvent(new CustomEvent('zeroResults'));
+                        this.stopPipeline();
+                        return;
+                    }
+                    // The YouTube loop hands out what's left and closes the ready queue behind it
+                    albumQueue.close();
+                    await readyQueue.drained();
+                    if (this._generation === gen) {
+                        this.stopPipeline();
+                        document.dispatchEvent(new CustomEvent('sourceExhausted'));
+                    }
+                    return;
+                }
+
+                const album = await discogsService.fetchReleaseDetails(summary.id, source.category(summary), _prefetchPriority(readyQueue));
+                const hasVideo = album && album.youtubeVideoIds && album.youtubeVideoIds.length > 0;
+                if (this._generation === gen && (hasVideo || album.youtubePlaylistId)) {
+                    await albumQueue.push(source.decorate(album, summary));
+                    queuedAny = true;
+                }
+            } catch (err) {
+                // Private collection, unknown user, missing folder: retrying won't change the answer
+                if (err.code === 'COLLECTION_UNAVAILABLE') {
+                    if (this._generation === gen) {
+                        document.dispatchEvent(new CustomEvent('collectionUnavailable'));
+                        this.stopPipeline();
+                    }
+                    return;
+                }
+                console.error("Catalogue pipeline error:", err);
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        }
+    },
+
     async runChannelsLoop(gen) {
+        const { readyQueue } = this;
         await channelService.init();
         if (this._generation !== gen) return;
+        channelService.keepRefreshing();
 
         // If every channel failed to load (bad API key, quota exhausted, etc.) tell the user
         if (!channelService.hasAnyVideos()) {
@@ -57,107 +259,252 @@ export const dataBuffer = {
         let consecutiveNulls = 0;
 
         while (this.isRunning && this._generation === gen) {
-            if (this.readyQueue.length < this.TARGET_READY_QUEUE) {
-                try {
-                    const album = await channelService.fetchRandomVideo();
-                    if (!album) {
-                        consecutiveNulls++;
-                        // After 10 consecutive nulls all channels are dry → surface error
-                        if (consecutiveNulls >= 10) {
-                            document.dispatchEvent(new CustomEvent('channelLoadError'));
-                            this.stopPipeline();
-                            return;
-                        }
-                        await new Promise(r => setTimeout(r, 500));
-                        continue;
+            if (!await readyQueue.waitForSpace()) return;
+            try {
+                const album = await channelService.fetchRandomVideo();
+                if (!album) {
+                    consecutiveNulls++;
+                    // After 10 consecutive nulls all channels are dry → surface error
+                    if (consecutiveNulls >= 10) {
+                        document.dispatchEvent(new CustomEvent('channelLoadError'));
+                        this.stopPipeline();
+                        return;
                     }
-                    consecutiveNulls = 0;
+                    await new Promise(r => setTimeout(r, 500));
+                    continue;
+                }
+                consecutiveNulls = 0;
+                // Archived uploads get deleted or made private too; channelService won't offer a dead one again
+                await videoAvailability.check(album.youtubeVideoIds);
+                if (this._generation !== gen) return;
+                if (!videoAvailability.isPlayable(album.youtubeVideoIds[0])) continue;
+                // Genre, label, year and cover from the matching Discogs release, when there is one
+                await discogsMatcher.enrich(album, _prefetchPriority(readyQueue));
+                // Genre, style and some years can only be checked now that the release is known
+                if (!channelService.passesFilters(album.youtubeVideoIds[0])) continue;
+                if (this._generation === gen) {
+                    channelService.markSeen(album.youtubeVideoIds[0]);
+                    await readyQueue.push({ album, videoId: album.youtubeVideoIds[0] });
+                }
+            } catch (err) {
+                if (err.code === 'ZERO_RESULTS') {
                     if (this._generation === gen) {
-                        this.readyQueue.push({ album, videoId: album.youtubeVideoIds[0] });
+                        document.dispatchEvent(new CustomEvent('zeroResults'));
+                        this.stopPipeline();
                     }
-                } catch (err) {
-                    console.error('Channel pipeline error:', err);
-                    await new Promise(r => setTimeout(r, 2000));
+                    return;
                 }
-            } else {
-                await new Promise(r => setTimeout(r, 200));
+                console.error('Channel pipeline error:', err);
+                await new Promise(r => setTimeout(r, 2000));
             }
         }
     },
 
     stopPipeline() {
         this.isRunning = false;
+        this.endDetour();
+        channelService.clearSession();
         this._generation++; // Invalidate running loops immediately
+        // Wakes whatever still waits on them: loops exit, pending consume() calls get null
+        this.albumQueue.close();
+        this.readyQueue.close();
+    },
+
+    _resetQueues() {
+        this.albumQueue.close();
+        this.readyQueue.close();
+        this.albumQueue = asyncQueue.create(this.TARGET_ALBUM_QUEUE);
+        this.readyQueue = asyncQueue.create(this.TARGET_READY_QUEUE);
+        this._lastConsumeAt = 0; // The first slots of a new feed arrive as a burst
+    },
+
+    // ─── Swipe pace ───────────────────────────────────────────────────────────
+
+    // Called on every consume(): fold the gap since the previous one into the pace
+    // and resize the queues to match. Their producers wake up as soon as room appears.
+    _trackPace() {
+        const now = Date.now();
+        const gap = now - this._lastConsumeAt;
+        const first = this._lastConsumeAt === 0;
+        this._lastConsumeAt = now;
+        if (first || gap < BURST_MS) return;
+
+        this._cardMs += PACE_SMOOTHING * (Math.min(gap, MAX_CARD_MS) - this._cardMs);
+        const ready = Math.min(MAX_READY, Math.max(MIN_READY, Math.round(LOOKAHEAD_MS / this._cardMs)));
+        if (ready === this.TARGET_READY_QUEUE) return;
+
+        this.TARGET_READY_QUEUE = ready;
+        this.TARGET_ALBUM_QUEUE = ready * ALBUMS_PER_READY;
+        this.readyQueue.setCapacity(ready);
+        this.albumQueue.setCapacity(this.TARGET_ALBUM_QUEUE);
+        if (this.detour) this.detour.queue.setCapacity(ready);
+    },
+
+    // ─── Artist deep-dive ─────────────────────────────────────────────────────
+    // A detour temporarily replaces the stream consume() hands out. The main
+    // pipeline keeps running underneath (its queues just fill up and idle), so
+    // ending the detour resumes it exactly where it was.
+
+    startArtistDetour(album) {
+        const detour = { queue: asyncQueue.create(this.TARGET_READY_QUEUE), title: album.artist };
+        if (this.detour) this.detour.queue.close();
+        this.detour = detour;
+        // Slots still waiting on the main stream were dropped: let them go empty-handed
+        this.readyQueue.release();
+        this.runArtistLoop(detour, album);
+        return detour;
+    },
+
+    endDetour() {
+        if (this.detour) this.detour.queue.close();
+        this.detour = null;
+    },
+
+    // Give back an item the feed consumed but could not show (its slot was dropped).
+    // Main-stream items go back to the front of the main queue; items from a detour
+    // that is no longer active are simply discarded.
+    requeue(item) {
+        if (!item) return;
+        if (item.detour) {
+            if (item.detour === this.detour) item.detour.queue.unshift(item);
+        } else {
+            this.readyQueue.unshift(item);
+        }
+    },
+
+    async runArtistLoop(detour, album) {
+        const visited = new Set([String(album.releaseId)]);
+        let page = 1;
+        let pages = 1;
+        let failures = 0;
+
+        try {
+            while (this.detour === detour && page <= pages) {
+                let data;
+                try {
+                    data = await discogsService.fetchArtistReleasesPage(album.artistId, page);
+                } catch (err) {
+                    if (++failures > 3) throw err;
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    continue;
+                }
+                pages = data.pages;
+                page++;
+
+                for (const entry of data.releases) {
+                    if (this.detour !== detour) return;
+
+                    // Skip remixes, appearances and the like: only the artist's own records
+                    if (entry.role && entry.role !== 'Main') continue;
+                    const releaseId = entry.type === 'master' ? entry.main_release : entry.id;
+                    if (!releaseId || visited.has(String(releaseId))) continue;
+                    visited.add(String(releaseId));
+
+                    // Don't walk the whole discography ahead of the user
+                    if (!await detour.queue.waitForSpace() || this.detour !== detour) return;
+
+                    try {
+                        const details = await discogsService.fetchReleaseDetails(releaseId, 'Discografia', _prefetchPriority(detour.queue));
+                        // One release at a time here: a 1-unit call each, and free once cached
+                        await videoAvailability.check(details.youtubeVideoIds || []);
+                        _dropUnplayable(details);
+                        const videoId = _firstVideo(details);
+                        if (this.detour === detour && (videoId || details.youtubePlaylistId)) {
+                            await detour.queue.push({ album: details, videoId, detour });
+                        }
+                    } catch (err) {
+                        console.error("Artist detour error:", err);
+                    }
+                }
+            }
+        } catch (err) {
+            console.error("Artist discography error:", err);
+        } finally {
+            // Whatever is queued still plays; take() returns null after it
+            detour.queue.close();
+            if (this.detour === detour && detour.queue.length === 0) {
+                document.dispatchEvent(new CustomEvent('sourceExhausted'));
+            }
+        }
     },
 
     async runDiscogsLoop(gen) {
+        const { albumQueue, readyQueue } = this;
+
         while (this.isRunning && this._generation === gen) {
+            // Buffer full: sleep until the YouTube loop takes an album
+            if (!await albumQueue.waitForSpace()) return;
             // We must pass fetchDetails = true to obtain the release.videos from Discogs,
             // which saves us from doing a 100-quota-unit YouTube text search for every single card.
-            if (this.albumQueue.length < this.TARGET_ALBUM_QUEUE) {
-                try {
-                    const album = await discogsService.fetchRandomRelease(this.criteria, true);
-                    // Only queue albums that have at least one YouTube video or playlist linked on Discogs
-                    const hasVideo = album && album.youtubeVideoIds && album.youtubeVideoIds.length > 0;
-                    const hasPlaylist = album && album.youtubePlaylistId;
-                    if (hasVideo || hasPlaylist) {
-                        this.albumQueue.push(album);
-                    }
-                } catch (err) {
-                    if (err.code === 'ZERO_RESULTS') {
-                        document.dispatchEvent(new CustomEvent('zeroResults'));
-                        this.stopPipeline();
-                        return;
-                    }
-                    console.error("Discogs pipeline error:", err);
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+            try {
+                const album = await discogsService.fetchRandomRelease(this.criteria, true, _prefetchPriority(readyQueue));
+                // Only queue albums that have at least one YouTube video or playlist linked on Discogs
+                let hasVideo = album && album.youtubeVideoIds && album.youtubeVideoIds.length > 0;
+                const hasPlaylist = album && album.youtubePlaylistId;
+                let keep = album && Math.random() < _obscurityKeepChance(album, this.criteria.obscurity);
+                // A marketplace call is only worth it for an album that can become a card
+                if (keep && this.criteria.forSaleOnly && (hasVideo || hasPlaylist || this.criteria.youtubeFallback)) {
+                    keep = await _isForSale(album, _prefetchPriority(readyQueue));
+                    if (this._generation !== gen) return;
+                }
+                // Searching costs 100 units: only for albums that passed every other filter
+                if (keep && !hasVideo && !hasPlaylist && this.criteria.youtubeFallback) {
+                    hasVideo = await _attachSearchMatch(album);
+                    if (this._generation !== gen) return;
+                }
+                if ((hasVideo || hasPlaylist) && keep) {
+                    await albumQueue.push(album);
                 }
-            } else {
-                // Buffer full, rest for a moment
-                await new Promise(resolve => setTimeout(resolve, 500));
+            } catch (err) {
+                if (err.code === 'ZERO_RESULTS') {
+                    document.dispatchEvent(new CustomEvent('zeroResults'));
+                    this.stopPipeline();
+                    return;
+                }
+                console.error("Discogs pipeline error:", err);
+                await new Promise(resolve => setTimeout(resolve, 2000));
             }
         }
     },
 
     async runYoutubeLoop(gen) {
+        const { albumQueue, readyQueue } = this;
+
         while (this.isRunning && this._generation === gen) {
-            if (this.readyQueue.length < this.TARGET_READY_QUEUE && this.albumQueue.length > 0) {
-                // Take from album queue
-                const album = this.albumQueue.shift();
-
-                // Pick a video ID directly from Discogs data — no YouTube API call needed
-                let videoId = null;
-                if (album.youtubeVideoIds && album.youtubeVideoIds.length > 0) {
-                    videoId = album.youtubeVideoIds[Math.floor(Math.random() * album.youtubeVideoIds.length)];
-                }
+            if (!await readyQueue.waitForSpace()) return;
+            const first = await albumQueue.take();
+            if (this._generation !== gen) return;
+            if (!first) {
+                // The album source is finished: the feed ends once the ready queue is emptied
+                readyQueue.close();
+                return;
+            }
+
+            // Take as many albums as the ready queue is short of, and vet all their
+            // videos in one videos.list call (cached verdicts cost nothing)
+            const batch = [first, ...albumQueue.takeAvailable(readyQueue.capacity - readyQueue.length - 1)];
+            await videoAvailability.check(batch.flatMap(album => album.youtubeVideoIds || []));
+            if (this._generation !== gen) return;
+
+            for (const album of batch) {
+                _dropUnplayable(album);
+
+                // Take the video ID directly from Discogs data — no YouTube search needed
+                const videoId = _firstVideo(album);
                 // playlist-only albums: videoId stays null, player will use playlist mode
 
                 if (videoId || album.youtubePlaylistId) {
-                    this.readyQueue.push({ album, videoId });
+                    await readyQueue.push({ album, videoId });
                 }
-            } else {
-                // Buffer full or no albums ready, rest
-                await new Promise(resolve => setTimeout(resolve, 100));
             }
         }
     },
 
+    // Next item of the active stream (the detour, if any); null when the pipeline
+    // stopped, the stream switched while waiting, or a detour ran out
     async consume() {
-        if (this.readyQueue.length > 0) {
-            return this.readyQueue.shift();
-        }
-
-        // Wait until something is ready (polling)
-        return new Promise(resolve => {
-            const checkInterval = setInterval(() => {
-                if (this.readyQueue.length > 0) {
-                    clearInterval(checkInterval);
-                    resolve(this.readyQueue.shift());
-                } else if (!this.isRunning) {
-                    clearInterval(checkInterval);
-                    resolve(null);
-                }
-            }, 100);
-        });
+        this._trackPace();
+        const queue = this.detour ? this.detour.queue : this.readyQueue;
+        return queue.take();
     }
 };
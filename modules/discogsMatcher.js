@@ -0,0 +1,159 @@
+/**
+ * discogsMatcher — resolves channel-mode videos to real Discogs releases.
+ *
+ * A channel upload only has a title ("Artist - Album (1974)") and maybe a year
+ * in its description. enrich() searches Discogs with those hints, scores the
+ * top hits against the video title and, above MATCH_MIN_CONFIDENCE, copies the
+ * release's genre, style, label, year, cover and link onto the card.
+ * Verdicts, misses included, are cached by videoId in persistentStore, so a
+ * video costs at most one search per TTL_MS.
+ */
+import { discogsService } from './discogsService.js';
+import { persistentStore } from './persistentStore.js';
+import { textUtils } from './textUtils.js';
+
+const STORAGE_KEY = 'video_matches';
+const TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+const MATCH_MIN_CONFIDENCE = 0.6;
+const MIN_ARTIST_COVERAGE = 0.5; // A hit whose artist the upload doesn't name is another record, whatever its title
+const HIGH_CONFIDENCE = 0.85; // From here the release's own artist/title replace the parsed ones
+
+// Upload boilerplate that never appears in a Discogs release title
+const NOISE_WORDS = new Set(['full', 'album', 'lp', 'ep', 'vinyl', 'rip', 'hq', 'hd', 'remastered', 'official', 'audio', 'video']);
+
+const matches = {}; // videoId -> { match: {...} | null, checkedAt }
+
+// Until the stored verdicts are loaded, getCachedMatch() simply knows fewer videos
+const matchesReady = persistentStore.get(STORAGE_KEY).then(stored => {
+    Object.entries(stored || {}).forEach(([id, entry]) => {
+        if (!matches[id]) matches[id] = entry;
+    });
+});
+
+function _save() {
+    matchesReady.then(() => {
+        const ids = Object.keys(matches);
+        if (ids.length > MAX_ENTRIES) {
+            ids.sort((a, b) => matches[a].checkedAt - matches[b].checkedAt)
+                .slice(0, ids.length - MAX_ENTRIES)
+                .forEach(id => delete matches[id]);
+        }
+        persistentStore.set(STORAGE_KEY, matches);
+    });
+}
+
+function _words(str) {
+    return textUtils.words(str).filter(w => !NOISE_WORDS.has(w));
+}
+
+// Share of `words` found in `target`
+function _coverage(words, target) {
+    if (words.length === 0) return 0;
+    return words.filter(w => target.has(w)).length / words.length;
+}
+
+// How sure we are that a search hit is the uploaded record: its title and artist
+// must both be spelled out in the video title; a matching year hint settles ties
+function _confidence(result, videoWords, yearHint) {
+    const [resultArtist, ...rest] = String(result.title || '').split(' - ');
+    const titleWords = _words(rest.length ? rest.join(' - ') : resultArtist);
+    if (titleWords.length === 0) return 0;
+    // Discogs disambiguates homonyms as "Artist (2)"
+    const artistWords = rest.length ? _words(resultArtist.replace(/\s*\(\d+\)$/, '')) : [];
+
+    const artistScore = artistWords.length ? _coverage(artistWords, videoWords) : 0.5;
+    if (artistScore < MIN_ARTIST_COVERAGE) return 0;
+
+    const yearScore = !yearHint || !result.year ? 0.5 : String(result.year) === String(yearHint) ? 1 : 0;
+    return 0.55 * _coverage(titleWords, videoWords) + 0.35 * artistScore + 0.1 * yearScore;
+}
+
+async function _search(album, priority) {
+    const hints = album.matchHints || {};
+    const videoWords = new Set(_words(`${hints.artist || ''} ${hints.title || album.title}`));
+
+    // Fielded search first; Discogs' free-text search forgives a wrong artist/title split
+    let results = [];
+    if (hints.artist) {
+        results = await discogsService.searchReleases({ artist: hints.artist, release_title: hints.title }, priority);
+    }
+    if (results.length === 0) {
+        results = await discogsService.searchReleases({ q: [hints.artist, hints.title || album.title].filter(Boolean).join(' ') }, priority);
+    }
+
+    let best = null;
+    results.forEach(result => {
+        const confidence = _confidence(result, videoWords, hints.year);
+        if (!best || confidence > best.confidence) best = { result, confidence };
+    });
+    if (!best || best.confidence < MATCH_MIN_CONFIDENCE) return null;
+
+    const { result, confidence } = best;
+    const [resultArtist, ...rest] = String(result.title || '').split(' - ');
+    return {
+        releaseId: result.id,
+        confidence: Math.round(confidence * 100) / 100,
+        artist: rest.length ? resultArtist.replace(/\s*\(\d+\)$/, '') : '',
+        title: rest.length ? rest.join(' - ') : resultArtist,
+        year: result.year || '',
+        genres: result.genre || [],
+        styles: result.style || [],
+        label: (result.label || [])[0] || '',
+        catno: result.catno && result.catno !== 'none' ? result.catno : '',
+        cover: result.cover_image && !result.cover_image.includes('spacer.gif') ? result.cover_image : '',
+        uri: result.uri || ''
+    };
+}
+
+function _apply(album, match) {
+    album.discogsMatch = {
+        releaseId: match.releaseId,
+        confidence: match.confidence,
+        level: match.confidence >= HIGH_CONFIDENCE ? 'high' : 'medium'
+    };
+    album.discogsUrl = match.uri
+        ? `https://www.discogs.com${match.uri}`
+        : `https://www.discogs.com/release/${match.releaseId}`;
+    if (match.confidence >= HIGH_CONFIDENCE) {
+        if (match.artist) album.artist = match.artist;
+        if (match.title) album.title = match.title;
+    }
+    if (match.year) album.year = String(match.year);
+    if (match.cover) album.coverUrl = match.cover;
+    album.genres = [...new Set([...match.genres, ...(match.styles || [])])];
+    album.label = match.label;
+    album.catno = match.catno;
+    return album;
+}
+
+export const discogsMatcher = {
+    // Decorate a channel-mode album in place with its Discogs release, when one is found.
+    // Never throws: an unreachable Discogs just leaves the card as it was (and uncached).
+    async enrich(album, priority = 'normal') {
+        await matchesReady;
+        const videoId = album.youtubeVideoIds[0];
+        const entry = matches[videoId];
+        if (entry && Date.now() - entry.checkedAt < TTL_MS) {
+            return entry.match ? _apply(album, entry.match) : album;
+        }
+
+        try {
+            const match = await _search(album, priority);
+            matches[videoId] = { match, checkedAt: Date.now() };
+            _save();
+            return match ? _apply(album, match) : album;
+        } catch (err) {
+            console.warn('[discogsMatcher] lookup failed:', err.message);
+            return album;
+        }
+    },
+
+    // The cached verdict, without searching: the match, null for a known miss,
+    // undefined when the video was never looked up
+    getCachedMatch(videoId) {
+        const entry = matches[videoId];
+        return entry ? entry.match : undefined;
+    }
+};
@@ -1,90 +1,373 @@
 import { CONFIG } from '../config.js';
+import { releaseCache } from './releaseCache.js';
+import { rateLimiter } from './rateLimiter.js';
+import { persistentStore } from './persistentStore.js';
+import { textUtils } from './textUtils.js';
 
 const totalPagesCache = {};
 const pendingPageProbes = {};
 const criteriaReleasePools = {};
-let lastDiscogsCall = 0;
+const yearCounts = {}; // combination key -> { year: items } from probes
+const comboTotals = {}; // combination key -> items over every year, from one unfiltered probe
+const pendingComboProbes = {};
+
+const MAX_PRESSING_CANDIDATES = 4; // Pressings of one master compared by fetchBestPressing
 
 // Persist seen releases across page reloads so the same albums never resurface.
-function _loadSeenReleases() {
-    try {
-        const stored = localStorage.getItem('seen_releases');
-        if (stored) return new Set(JSON.parse(stored));
-    } catch (e) {}
-    return new Set();
-}
+// Both sets load from persistentStore in the background; fetchRandomRelease waits for them.
+const seenReleases = new Set();
+const seenMasters = new Set();
+const seenReady = Promise.all([
+    persistentStore.get('seen_releases').then(stored => (stored || []).forEach(id => seenReleases.add(id))),
+    persistentStore.get('seen_masters').then(stored => (stored || []).forEach(id => seenMasters.add(id)))
+]);
+
 function _saveSeenReleases() {
-    try { localStorage.setItem('seen_releases', JSON.stringify([...seenReleases])); } catch (e) {}
+    persistentStore.set('seen_releases', [...seenReleases]);
 }
-const seenReleases = _loadSeenReleases();
-
-async function rateLimitedFetch(url, options) {
-    const now = Date.now();
-    const elapsed = now - lastDiscogsCall;
-    if (elapsed < 400) {
-        // Enforce max ~2.5 requests per second (150/min)
-        await new Promise(resolve => setTimeout(resolve, 400 - elapsed));
-    }
-    lastDiscogsCall = Date.now();
+
+// Same idea one level up: a master groups every pressing of an album (UK, German,
+// reissues...), so once one of them was shown the others are skipped too.
+function _saveSeenMasters() {
+    persistentStore.set('seen_masters', [...seenMasters]);
+}
+
+// Every Discogs call waits for a token from the shared bucket. `priority` decides who goes
+// first when calls queue up: 'high' for what's on screen, 'low' for background prefetch.
+async function rateLimitedFetch(url, options, priority = 'normal') {
+    await rateLimiter.acquire(priority);
 
     // Prevent browser from caching repeated random parameters across sessions
     options.cache = 'no-store';
 
-    return fetch(url, options);
+    const response = await fetch(url, options);
+    rateLimiter.observe(response);
+    return response;
 }
 
-export const discogsService = {
-    async fetchRandomRelease(criteria, fetchDetails = false) {
-        if (!criteria) {
-            throw new Error("No criteria selected");
+// ─── Criteria combinations ───────────────────────────────────────────────────
+// Every multi-select in the category screen is OR'ed: the search space is the
+// cartesian product of the picked values, and an empty list means "any".
+
+function _expandCombinations(criteria) {
+    const axes = {
+        genre: criteria.genres,
+        style: criteria.styles,
+        years: criteria.years,
+        country: criteria.countries,
+        format: criteria.formats
+    };
+
+    let combos = [{}];
+    for (const [key, values] of Object.entries(axes)) {
+        const options = values && values.length > 0 ? values : [''];
+        combos = combos.flatMap(combo => options.map(value => ({ ...combo, [key]: value })));
+    }
+    return combos;
+}
+
+function _comboKey(combo) {
+    return `${combo.genre}|${combo.style}|${combo.years}|${combo.country}|${combo.format}`;
+}
+
+// Years a combination can land on: its "from-to" span, or every year Discogs can
+// search when none was picked (releases with no year at all are out of reach either way)
+function _yearRange(combo) {
+    const lastYear = new Date().getFullYear();
+    if (!combo.years) return { from: CONFIG.MIN_YEAR, to: lastYear };
+    const [from, to] = combo.years.split('-').map(Number);
+    return { from, to: Math.min(to, lastYear) };
+}
+
+// Release count per year of a combination's span. Probed years count as measured;
+// the others borrow from their nearest probed neighbours, since counts drift slowly
+// from one year to the next. All null while the combination was never probed.
+function _yearEstimates(combo) {
+    const { from, to } = _yearRange(combo);
+    const counts = yearCounts[_comboKey(combo)] || {};
+    const probed = Object.keys(counts).map(Number).sort((a, b) => a - b);
+
+    const estimates = [];
+    for (let year = from; year <= to; year++) {
+        if (counts[year] !== undefined) {
+            estimates.push({ year, items: counts[year], probed: true });
+            continue;
         }
+        const below = probed.filter(y => y < year).pop();
+        const above = probed.find(y => y > year);
+        const neighbours = [below, above].filter(y => y !== undefined).map(y => counts[y]);
+        const items = neighbours.length > 0 ? neighbours.reduce((a, b) => a + b, 0) / neighbours.length : null;
+        estimates.push({ year, items, probed: false });
+    }
+    return estimates;
+}
+
+// Weighted pick of a year inside the combination's span, so sparse years don't get
+// as many draws as busy ones. Unprobed years keep a minimum weight of 1 so a span
+// whose neighbours looked empty is still explored now and then.
+function _pickYear(combo) {
+    const estimates = _yearEstimates(combo);
+    const weights = estimates.map(e => e.probed ? e.items : Math.max(e.items ?? 1, 1));
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) return estimates[Math.floor(Math.random() * estimates.length)].year;
+
+    let r = Math.random() * total;
+    for (let i = 0; i < estimates.length; i++) {
+        r -= weights[i];
+        if (r < 0) return estimates[i].year;
+    }
+    return estimates[estimates.length - 1].year;
+}
+
+// Estimated number of releases behind a combination, or null if never probed
+function _comboWeight(combo) {
+    const estimates = _yearEstimates(combo);
+    if (!estimates.some(e => e.probed)) return null;
+    return estimates.reduce((sum, e) => sum + e.items, 0);
+}
+
+// A combination is written off when Discogs has nothing for it in any year, or once
+// a few of its years (or all of them, for short spans) came back empty and none had anything
+const EMPTY_PROBES = 5;
+
+function _comboLooksEmpty(combo) {
+    if (comboTotals[_comboKey(combo)] === 0) return true;
+    const counts = Object.values(yearCounts[_comboKey(combo)] || {});
+    const { from, to } = _yearRange(combo);
+    return counts.length >= Math.min(EMPTY_PROBES, to - from + 1) && counts.every(items => items === 0);
+}
+
+// Weighted pick proportional to each combination's estimated item count.
+// Combinations never probed yet borrow the average weight of the probed ones, so
+// they get sampled (and thereby probed) without a burst of upfront API calls.
+function _pickCombination(allCombos) {
+    // Combinations already written off would only burn attempts
+    const live = allCombos.filter(c => !_comboLooksEmpty(c));
+    const combos = live.length > 0 ? live : allCombos;
+    if (combos.length === 1) return combos[0];
+
+    const known = combos.map(_comboWeight).filter(w => w !== null);
+    const fallback = known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+    const weights = combos.map(c => {
+        const w = _comboWeight(c);
+        return w === null ? (fallback || 1) : w;
+    });
+
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) return combos[Math.floor(Math.random() * combos.length)];
+
+    let r = Math.random() * total;
+    for (let i = 0; i < combos.length; i++) {
+        r -= weights[i];
+        if (r < 0) return combos[i];
+    }
+    return combos[combos.length - 1];
+}
+
+// True once every combination looks empty
+function _allCombosEmpty(combos) {
+    return combos.every(_comboLooksEmpty);
+}
+
+function _recordProbe(combo, year, items) {
+    const key = _comboKey(combo);
+    if (!yearCounts[key]) yearCounts[key] = {};
+    yearCounts[key][year] = items;
+}
+
+// Search parameters shared by every query on a combination, year aside
+function _comboParams(combo) {
+    const params = new URLSearchParams({
+        type: "release",
+        format: combo.format || "album", // No format picked: albums only, like rndmsound3
+        per_page: 1,     // Match rndmsound3 - fetch only 1 item per API call for absolute randomness
+        page: 1
+    });
+    if (combo.genre) params.append("genre", combo.genre);
+    if (combo.style) params.append("style", combo.style);
+    if (combo.country) params.append("country", combo.country);
+    return params;
+}
+
+// One search without a year filter the first time a combination comes up, so a dead
+// one (a style never pressed in that country, say) costs a single call, not a probe per year
+async function _probeComboTotal(combo, headers, priority) {
+    const key = _comboKey(combo);
+    if (comboTotals[key] !== undefined) return;
+    if (!pendingComboProbes[key]) {
+        pendingComboProbes[key] = (async () => {
+            const url = `${CONFIG.DISCOGS_BASE_URL}/database/search?${_comboParams(combo).toString()}`;
+            const response = await rateLimitedFetch(url, { headers }, priority);
+            if (!response.ok) {
+                if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+                throw new Error(`Discogs API Error: ${response.status}`);
+            }
+            const data = await response.json();
+            comboTotals[key] = (data.pagination && data.pagination.items) || 0;
+        })();
+    }
+    try {
+        await pendingComboProbes[key];
+    } finally {
+        delete pendingComboProbes[key];
+    }
+}
+
+function _describeFormat(formats) {
+    if (!formats || formats.length === 0) return '';
+    const { name, descriptions } = formats[0];
+    const extra = (descriptions || []).join(', ');
+    return [name, extra].filter(Boolean).join(' · ');
+}
+
+// Full line for one format entry, quantity and free text included (details sheet)
+function _describeFormatEntry({ name, qty, descriptions, text }) {
+    const extra = [...(descriptions || []), text].filter(Boolean).join(', ');
+    return [qty && qty !== '1' ? `${qty} × ${name}` : name, extra].filter(Boolean).join(' · ');
+}
 
-        // Build query params
-        const params = new URLSearchParams({
-            type: "release",
-            format: "album", // Match rndmsound3
-            per_page: 1,     // Match rndmsound3 - fetch only 1 item per API call for absolute randomness
-            page: 1
+// Remove Discogs disambiguation numbers like "Artist (2)"
+function _stripDisambiguation(name) {
+    return String(name || '').replace(/\(\d+\)$/, '').trim();
+}
+
+// ─── Release details sheet ───────────────────────────────────────────────────
+
+// Credits merged across the release and its tracks, grouped by role
+function _collectCredits(release) {
+    const byRole = new Map();
+    const add = (person) => {
+        if (!person.name || !person.role) return;
+        const role = person.role.trim();
+        if (!byRole.has(role)) byRole.set(role, new Set());
+        byRole.get(role).add(_stripDisambiguation(person.anv || person.name));
+    };
+
+    (release.extraartists || []).forEach(add);
+    (release.tracklist || []).forEach(t => (t.extraartists || []).forEach(add));
+    return [...byRole].map(([role, names]) => ({ role, names: [...names] }));
+}
+
+// Title words without the bracketed extras ("(Remastered)", "[Live]")
+function _titleWords(str) {
+    return new Set(textUtils.words(String(str || '').replace(/\(.*?\)|\[.*?\]/g, ' ')));
+}
+
+const TRACK_MATCH_MIN_SCORE = 0.6;
+
+// How well a video fits a track: the share of the track title's words found in the
+// video title, minus a little for unrelated extra words (a full-album upload names
+// every track), nudged up or down by how close the two durations are.
+function _trackVideoScore(track, video, artistWords) {
+    const trackWords = _titleWords(track.title);
+    if (trackWords.size === 0) return 0;
+    const videoWords = _titleWords(video.title);
+
+    let hits = 0;
+    trackWords.forEach(w => { if (videoWords.has(w)) hits++; });
+    const extra = [...videoWords].filter(w => !trackWords.has(w) && !artistWords.has(w)).length;
+    let score = hits / trackWords.size - Math.min(0.3, extra * 0.05);
+
+    const trackSeconds = textUtils.parseDuration(track.duration);
+    if (trackSeconds && video.duration) {
+        const diff = Math.abs(trackSeconds - video.duration);
+        if (diff <= 5) score += 0.3;
+        else if (diff <= 20) score += 0.15;
+        else if (diff > 60) score -= 0.2;
+    }
+    return score;
+}
+
+// Link each track to its video: best-scoring pairs first, each video used once
+function _matchTrackVideos(tracks, videos, artist) {
+    const artistWords = _titleWords(artist);
+    const pairs = [];
+    tracks.forEach(track => {
+        if (track.heading) return;
+        videos.forEach(video => {
+            const score = _trackVideoScore(track, video, artistWords);
+            if (score >= TRACK_MATCH_MIN_SCORE) pairs.push({ track, video, score });
         });
+    });
+
+    const used = new Set();
+    pairs.sort((a, b) => b.score - a.score).forEach(({ track, video }) => {
+        if (track.videoId || used.has(video.id)) return;
+        track.videoId = video.id;
+        used.add(video.id);
+    });
+}
+
+// Videos in tracklist order, then whatever matched no track in Discogs' own order
+function _playOrder(tracks, videos) {
+    const order = tracks.filter(t => t.videoId).map(t => t.videoId);
+    videos.forEach(v => { if (!order.includes(v.id)) order.push(v.id); });
+    return order;
+}
 
-        if (criteria.genre) params.append("genre", criteria.genre);
-        if (criteria.style) params.append("style", criteria.style);
-        // Handle decade randomly like rndmsound3, or pick a fully random year if not provided
-        if (criteria.year) {
-            const decadeBase = parseInt(criteria.year, 10);
-            const randomYear = decadeBase + Math.floor(Math.random() * 10);
-            params.append("year", randomYear.toString());
-        } else {
-            // Force a random year to scatter results across the database and bypass the 10k limit
-            const randomYear = 1960 + Math.floor(Math.random() * 64); // 1960 to 2023
-            params.append("year", randomYear.toString());
+// A user's collection or wantlist: 4xx is final (private list, unknown user, bad folder),
+// while 429 and 5xx are worth retrying
+function _libraryError(response, what) {
+    if (response.status === 429) return new Error('TOO_MANY_REQUESTS');
+    const error = new Error(`Discogs ${what} API Error: ${response.status}`);
+    if (response.status >= 400 && response.status < 500) error.code = 'COLLECTION_UNAVAILABLE';
+    return error;
+}
+
+
+export const discogsService = {
+    async fetchRandomRelease(criteria, fetchDetails = false, priority = 'normal') {
+        if (!criteria) {
+            throw new Error("No criteria selected");
         }
-        if (criteria.country) params.append("country", criteria.country);
+        await seenReady;
 
-        // Mix up sorting to shuffle identical blocks
-        const sorts = ["year", "title", "format"];
-        params.append("sort", sorts[Math.floor(Math.random() * sorts.length)]);
-        params.append("sort_order", Math.random() > 0.5 ? "asc" : "desc");
+        const combos = _expandCombinations(criteria);
 
-        const headers = {
-            'Authorization': `Discogs token=${CONFIG.DISCOGS_TOKEN}`,
-            'User-Agent': "AntiGravityApp/1.0"
-        };
+        // Credentials and User-Agent are added by the /api/discogs proxy
+        const headers = {};
 
-        const criteriaKey = JSON.stringify(criteria) + "_" + params.get("year") + "_" + params.get("sort") + "_" + params.get("sort_order");
         const maxRetries = 5;
 
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
             try {
-                let maxItems = totalPagesCache[criteriaKey];
+                const combo = _pickCombination(combos);
+
+                await _probeComboTotal(combo, headers, priority);
+                if (_comboLooksEmpty(combo)) {
+                    if (_allCombosEmpty(combos)) {
+                        const error = new Error("No results for criteria");
+                        error.code = 'ZERO_RESULTS';
+                        throw error;
+                    }
+                    continue;
+                }
+
+                // Build query params
+                const params = _comboParams(combo);
+                // Search one year at a time, picked by weight inside the combination's span,
+                // to scatter results across the database and bypass the 10k limit
+                const year = _pickYear(combo);
+                params.append("year", year.toString());
+
+                // Mix up sorting to shuffle identical blocks
+                const sorts = ["year", "title", "format"];
+                params.append("sort", sorts[Math.floor(Math.random() * sorts.length)]);
+                params.append("sort_order", Math.random() > 0.5 ? "asc" : "desc");
+
+                // Item count only depends on the combination and the year, not on sorting,
+                // so one probe per combination-year serves every sort order
+                const probeKey = _comboKey(combo) + "_" + params.get("year");
+
+                let maxItems = totalPagesCache[probeKey];
                 let data = null;
 
-                if (!maxItems) {
-                    if (!pendingPageProbes[criteriaKey]) {
-                        pendingPageProbes[criteriaKey] = (async () => {
+                if (maxItems === undefined) {
+                    if (!pendingPageProbes[probeKey]) {
+                        pendingPageProbes[probeKey] = (async () => {
                             // Step 1: Probe for total items to ensure we don't request out of bounds
                             const initialSearchUrl = `${CONFIG.DISCOGS_BASE_URL}/database/search?${params.toString()}`;
-                            let response = await rateLimitedFetch(initialSearchUrl, { headers });
+                            let response = await rateLimitedFetch(initialSearchUrl, { headers }, priority);
 
                             if (!response.ok) {
                                 if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
@@ -92,35 +375,41 @@ export const discogsService = {
                             }
 
                             const resData = await response.json();
-
-                            if (!resData.results || resData.results.length === 0) {
-                                const error = new Error("No results for criteria");
-                                error.code = 'ZERO_RESULTS';
-                                throw error;
-                            }
+                            const items = (resData.pagination && resData.pagination.items) || 0;
+                            _recordProbe(combo, year, items);
 
                             // Discogs caps at 10,000 items
-                            totalPagesCache[criteriaKey] = Math.min(resData.pagination.items, 10000);
+                            totalPagesCache[probeKey] = Math.min(items, 10000);
                             return resData;
                         })();
                     }
 
                     try {
-                        data = await pendingPageProbes[criteriaKey];
-                        maxItems = totalPagesCache[criteriaKey];
+                        data = await pendingPageProbes[probeKey];
+                        maxItems = totalPagesCache[probeKey];
                     } catch (err) {
-                        delete pendingPageProbes[criteriaKey];
+                        delete pendingPageProbes[probeKey];
                         throw err;
                     }
                 }
 
+                if (!maxItems) {
+                    if (_allCombosEmpty(combos)) {
+                        const error = new Error("No results for criteria");
+                        error.code = 'ZERO_RESULTS';
+                        throw error;
+                    }
+                    // This combination-year is empty but others may not be: try again
+                    continue;
+                }
+
                 // Step 2: Pick a random page within the actual bounds (since per_page=1, page = index)
                 const randomPage = Math.floor(Math.random() * maxItems) + 1;
 
                 if (randomPage > 1 || !data) {
                     params.set("page", randomPage);
                     const randomSearchUrl = `${CONFIG.DISCOGS_BASE_URL}/database/search?${params.toString()}`;
-                    let response = await rateLimitedFetch(randomSearchUrl, { headers });
+                    let response = await rateLimitedFetch(randomSearchUrl, { headers }, priority);
 
                     if (!response.ok) {
                         if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
@@ -141,6 +430,12 @@ export const discogsService = {
                     continue;
                 }
 
+                // Another pressing of an album we've already shown: skip as well
+                const masterId = randomReleaseSummary.master_id || null;
+                if (masterId && seenMasters.has(masterId)) {
+                    continue;
+                }
+
                 // Add to seen Set and persist so reloads don't repeat the same releases
                 seenReleases.add(randomReleaseSummary.id);
                 if (seenReleases.size > 2000) {
@@ -148,11 +443,21 @@ export const discogsService = {
                 }
                 _saveSeenReleases();
 
+                if (masterId) {
+                    seenMasters.add(masterId);
+                    if (seenMasters.size > 2000) {
+                        seenMasters.delete(seenMasters.values().next().value);
+                    }
+                    _saveSeenMasters();
+                }
 
-                return this.formatReleaseSummary(randomReleaseSummary, criteria, fetchDetails);
+                return this.formatReleaseSummary(randomReleaseSummary, combo, fetchDetails, {
+                    originalOnly: !!criteria.originalOnly,
+                    priority
+                });
 
             } catch (error) {
-                if (attempt === maxRetries) {
+                if (attempt === maxRetries || error.code === 'ZERO_RESULTS') {
                     throw error;
                 }
 
@@ -170,7 +475,7 @@ export const discogsService = {
         }
     },
 
-    async formatReleaseSummary(randomReleaseSummary, criteria, fetchDetails) {
+    async formatReleaseSummary(randomReleaseSummary, combo, fetchDetails, options = {}) {
         // Return simplified metadata immediately if details aren't requested
         if (!fetchDetails) {
             // Title in search results is usually "Artist - Title"
@@ -187,8 +492,9 @@ export const discogsService = {
                 id: randomReleaseSummary.id,
                 artist: artist,
                 title: title,
-                year: randomReleaseSummary.year || criteria.year || "Unknown Year",
-                genres: randomReleaseSummary.style || randomReleaseSummary.genre || [criteria.genre || 'Mixed'],
+                year: randomReleaseSummary.year || "Unknown Year",
+                genres: randomReleaseSummary.style || randomReleaseSummary.genre || [combo.genre || combo.style || 'Mixed'],
+                format: (randomReleaseSummary.format || []).join(', '),
                 cover: randomReleaseSummary.cover_image || randomReleaseSummary.thumb || "",
                 youtubeVideoIds: [], // We don't have these without details
                 youtubePlaylistId: null
@@ -196,17 +502,135 @@ export const discogsService = {
         }
 
         // Fetch full release details only if explicitly asked
-        return await this.fetchReleaseDetails(randomReleaseSummary.id, criteria.genre || 'Mixed');
+        const category = combo.genre || combo.style || 'Mixed';
+        if (randomReleaseSummary.master_id) {
+            return await this.fetchBestPressing(randomReleaseSummary.master_id, randomReleaseSummary.id, category, options.originalOnly, options.priority);
+        }
+        return await this.fetchReleaseDetails(randomReleaseSummary.id, category, options.priority);
+    },
+
+    // Resolve a master to one pressing: the one with the most linked YouTube videos among
+    // its versions. Release details are what say how many videos a pressing has, so the
+    // master's own video list decides how hard to look:
+    // - none: the main release (Discogs' pick, normally the original) or the search hit,
+    //   without the versions list; such albums are usually dropped for want of a video;
+    // - some: up to MAX_PRESSING_CANDIDATES pressings, main release and search hit first,
+    //   then the most collected versions, stopping at one with as many videos as the
+    //   master. Pressings already in releaseCache are compared for free.
+    // With `originalOnly` the main release is used whatever the search landed on.
+    async fetchBestPressing(masterId, searchedReleaseId, categoryId, originalOnly = false, priority = 'normal') {
+        let master = null;
+        try {
+            master = await this.fetchMasterSummary(masterId, !originalOnly, priority);
+        } catch (err) {
+            if (err.message === 'TOO_MANY_REQUESTS') throw err;
+            // Master lookup is a refinement: fall back to the pressing we already have
+        }
+        const mainReleaseId = master ? master.mainReleaseId : null;
+
+        if (originalOnly && mainReleaseId) {
+            return await this.fetchReleaseDetails(mainReleaseId, categoryId, priority);
+        }
+
+        const versions = master && master.videoCount > 0 ? master.versions || [] : [];
+        const ranked = [...new Set([
+            mainReleaseId,
+            searchedReleaseId,
+            ...[...versions].sort((a, b) => b.have - a.have).map(v => v.id)
+        ].filter(Boolean))];
+
+        // Ties go to the earlier candidate: the main release first
+        const videoCount = p => (p.youtubeVideoIds ? p.youtubeVideoIds.length : 0) + (p.youtubePlaylistId ? 1 : 0);
+        const enough = master ? Math.max(master.videoCount, 1) : Infinity;
+        const pick = pressings => pressings.reduce((best, p) => videoCount(p) > videoCount(best) ? p : best);
+
+        // Cached pressings cost nothing: if one already has every video, no call is needed
+        const cached = (await Promise.all(ranked.map(id => releaseCache.get(id))))
+            .map(details => details && { ...details, category: categoryId })
+            .filter(Boolean);
+        if (cached.length > 0 && videoCount(pick(cached)) >= enough) return pick(cached);
+
+        const wanted = master && master.videoCount === 0 ? 1 : MAX_PRESSING_CANDIDATES;
+        const pressings = [...cached];
+        const cachedIds = new Set(cached.map(p => String(p.releaseId)));
+        for (const id of ranked) {
+            if (pressings.length >= wanted) break;
+            if (pressings.length > 0 && videoCount(pick(pressings)) >= enough) break;
+            if (cachedIds.has(String(id))) continue;
+            try {
+                pressings.push(await this.fetchReleaseDetails(id, categoryId, priority));
+            } catch (err) {
+                if (err.message === 'TOO_MANY_REQUESTS') throw err;
+            }
+        }
+        if (pressings.length === 0) {
+            throw new Error(`No pressing available for master ${masterId}`);
+        }
+        return pick(pressings);
+    },
+
+    // { mainReleaseId, videoCount, versions: [{ id, have }] | null } for a master, kept in
+    // releaseCache next to the releases. The versions list is only fetched when `withVersions`
+    // asks for it and the master has videos to look for.
+    async fetchMasterSummary(masterId, withVersions, priority = 'normal') {
+        const key = `master_${masterId}`;
+        let summary = await releaseCache.get(key);
+
+        if (!summary) {
+            const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/masters/${masterId}`, {}, priority);
+            if (!response.ok) {
+                if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+                throw new Error(`Discogs Master API Error: ${response.status}`);
+            }
+            const master = await response.json();
+            summary = {
+                mainReleaseId: master.main_release || null,
+                videoCount: (master.videos || []).length,
+                versions: null
+            };
+            releaseCache.put(key, summary);
+        }
+
+        if (withVersions && summary.videoCount > 0 && !summary.versions) {
+            try {
+                summary = { ...summary, versions: await this.fetchMasterVersions(masterId, priority) };
+                releaseCache.put(key, summary);
+            } catch (err) {
+                if (err.message === 'TOO_MANY_REQUESTS') throw err;
+                // Without the versions list, the main release and the search hit still compete
+            }
+        }
+        return summary;
+    },
+
+    // A master's pressings as { id, have }, most of them on one page
+    async fetchMasterVersions(masterId, priority = 'normal') {
+        const params = new URLSearchParams({ per_page: 100 });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/masters/${masterId}/versions?${params.toString()}`, {}, priority);
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Master API Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.versions || []).map(v => ({
+            id: v.id,
+            have: (v.stats && v.stats.community && v.stats.community.in_collection) || 0
+        }));
     },
 
-    async fetchReleaseDetails(releaseId, categoryId) {
+    async fetchReleaseDetails(releaseId, categoryId, priority = 'normal') {
+        // Served from IndexedDB when we've parsed this release before: no API call, no throttle wait.
+        // The category depends on how we got here, so it's never cached.
+        const cached = await releaseCache.get(releaseId);
+        if (cached) {
+            return { ...cached, category: categoryId };
+        }
+
         const detailsUrl = `${CONFIG.DISCOGS_BASE_URL}/releases/${releaseId}`;
-        const headers = {
-            'Authorization': `Discogs token=${CONFIG.DISCOGS_TOKEN}`,
-            'User-Agent': "AntiGravityApp/1.0"
-        };
+        const headers = {};
 
-        const response = await rateLimitedFetch(detailsUrl, { headers });
+        const response = await rateLimitedFetch(detailsUrl, { headers }, priority);
         if (!response.ok) {
             throw new Error(`Discogs Release API Error: ${response.status}`);
         }
@@ -215,16 +639,47 @@ export const discogsService = {
 
         // Parse details
         const artist = release.artists && release.artists.length > 0 ? release.artists[0].name : "Unknown Artist";
+        // "Various" (id 194) has no meaningful discography to dig into
+        const artistId = release.artists && release.artists.length > 0 && release.artists[0].id !== 194 ? release.artists[0].id : null;
         const title = release.title || "Unknown Title";
         const year = release.year || "Unknown Year";
         const coverUrl = (release.images && release.images.length > 0) ? release.images[0].uri : null;
         const discogsUrl = release.uri || `https://www.discogs.com/release/${releaseId}`;
+        const masterId = release.master_id || null;
+        const mainLabel = release.labels && release.labels.length > 0 ? release.labels[0] : null;
+
+        // e.g. "Vinyl · 12", 33 ⅓ RPM, EP" — first format entry only, boxsets list dozens
+        const format = _describeFormat(release.formats);
 
         const trackList = release.tracklist ? release.tracklist.map(t => t.title) : [];
 
+        // Everything the details sheet shows; headings ("Side A") are kept to break up the list
+        const tracks = (release.tracklist || []).map(t => ({
+            position: t.position || '',
+            title: t.title || '',
+            duration: t.duration || '',
+            heading: t.type_ === 'heading',
+            videoId: null
+        }));
+        const labels = (release.labels || []).map(l => ({
+            name: _stripDisambiguation(l.name),
+            catno: l.catno !== 'none' ? l.catno : ''
+        }));
+        const formats = (release.formats || []).map(_describeFormatEntry);
+        const credits = _collectCredits(release);
+        const notes = release.notes || '';
+        const images = (release.images || []).map(img => ({ uri: img.uri, thumb: img.uri150 || img.uri }));
+
+        // Community counts drive the obscurity filter and the have/want line on the card
+        const community = release.community || {};
+        const have = typeof community.have === 'number' ? community.have : null;
+        const want = typeof community.want === 'number' ? community.want : null;
+        const rating = community.rating && community.rating.count > 0 ? community.rating.average : null;
+
         // Find YouTube playlist / video IDs
         let youtubePlaylistId = null;
         const youtubeVideoIds = [];
+        const videos = []; // { id, title, duration } in the same order as youtubeVideoIds
 
         if (release.videos && release.videos.length > 0) {
             for (const video of release.videos) {
@@ -233,17 +688,22 @@ export const discogsService = {
                     if (video.uri.includes("youtu.be/")) {
                         // Short URL: https://youtu.be/VIDEO_ID
                         const vId = new URL(video.uri).pathname.slice(1).split('?')[0];
-                        if (vId) youtubeVideoIds.push(vId);
+                        if (vId) {
+                            youtubeVideoIds.push(vId);
+                            videos.push({ id: vId, title: video.title || '', duration: video.duration || null });
+                        }
                     } else if (video.uri.includes("youtube.com")) {
                         const tempUrl = new URL(video.uri);
                         const vId = tempUrl.searchParams.get("v");
                         if (vId) {
                             youtubeVideoIds.push(vId);
+                            videos.push({ id: vId, title: video.title || '', duration: video.duration || null });
                         } else {
                             // Check path-based IDs: /embed/ID or /v/ID
                             const pathMatch = tempUrl.pathname.match(/\/(embed|v)\/([a-zA-Z0-9_-]{11})/);
                             if (pathMatch) {
                                 youtubeVideoIds.push(pathMatch[2]);
+                                videos.push({ id: pathMatch[2], title: video.title || '', duration: video.duration || null });
                             } else {
                                 // Playlist URL without individual video (e.g. /playlist?list=...)
                                 const listId = tempUrl.searchParams.get("list");
@@ -259,18 +719,206 @@ export const discogsService = {
             }
         }
 
-        return {
+        _matchTrackVideos(tracks, videos, artist);
+        const playOrder = _playOrder(tracks, videos);
+
+        const details = {
             releaseId,
             title,
-            artist: artist.replace(/\(\d+\)$/, '').trim(), // Remove Discogs disambiguation numbers like "Artist (2)"
+            artist: _stripDisambiguation(artist),
+            artistId,
+            masterId,
             year,
             category: categoryId,
             coverUrl,
             discogsUrl,
+            format,
+            label: mainLabel ? _stripDisambiguation(mainLabel.name) : '',
+            catno: mainLabel && mainLabel.catno !== 'none' ? mainLabel.catno : '',
             youtubePlaylistId,
             youtubeVideoIds,
-            trackList
+            playOrder,
+            trackList,
+            tracks,
+            labels,
+            formats,
+            credits,
+            notes,
+            images,
+            videos,
+            have,
+            want,
+            rating
         };
+
+        releaseCache.put(releaseId, details);
+        return details;
+    },
+
+    async searchLabels(query) {
+        const params = new URLSearchParams({ type: "label", q: query, per_page: 10 });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/database/search?${params.toString()}`, {}, 'high');
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Label Search Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.results || []).map(r => ({
+            id: r.id,
+            name: r.title,
+            thumb: r.thumb || ""
+        }));
+    },
+
+    // Top release hits for a free-form lookup ({ q } or { artist, release_title, ... }),
+    // as Discogs returns them: "Artist - Title", year, genre, style, label, catno, cover_image
+    async searchReleases(query, priority = 'normal') {
+        const params = new URLSearchParams({ type: 'release', per_page: 5, ...query });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/database/search?${params.toString()}`, {}, priority);
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Release Search Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.results || [];
+    },
+
+    // One page of a label's catalogue. `sort` is an optional { sort, sort_order } pair.
+    async fetchLabelReleasesPage(labelId, page = 1, perPage = 100, sort = {}) {
+        const params = new URLSearchParams({ page, per_page: perPage, ...sort });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/labels/${labelId}/releases?${params.toString()}`, {});
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Label API Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const pagination = data.pagination || {};
+        return {
+            releases: data.releases || [],
+            pages: pagination.pages || 0,
+            items: pagination.items || 0
+        };
+    },
+
+    // One page of an artist's discography, oldest first. Entries are releases or masters
+    // (masters carry a `main_release` id) with the artist's `role` on each.
+    async fetchArtistReleasesPage(artistId, page = 1, perPage = 100) {
+        const params = new URLSearchParams({ page, per_page: perPage, sort: "year", sort_order: "asc" });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/artists/${artistId}/releases?${params.toString()}`, {});
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Artist API Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const pagination = data.pagination || {};
+        return {
+            releases: data.releases || [],
+            pages: pagination.pages || 0
+        };
+    },
+
+    async fetchMarketplaceStats(releaseId, currency = CONFIG.MARKETPLACE_CURRENCY, priority = 'normal') {
+        const params = new URLSearchParams({ curr_abbr: currency });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/marketplace/stats/${releaseId}?${params.toString()}`, {}, priority);
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Marketplace API Error: ${response.status}`);
+        }
+
+        const stats = await response.json();
+        return {
+            lowestPrice: stats.lowest_price ? stats.lowest_price.value : null,
+            currency: stats.lowest_price ? stats.lowest_price.currency : currency,
+            numForSale: stats.num_for_sale || 0,
+            blocked: !!stats.blocked_from_sale,
+            marketplaceUrl: `https://www.discogs.com/sell/release/${releaseId}`
+        };
+    },
+
+    // ─── User collections (public ones, or the logged-in user's own) ─────────
+
+    async fetchCollectionFolders(username) {
+        const user = encodeURIComponent(username);
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/collection/folders`, {}, 'high');
+        if (!response.ok) throw _libraryError(response, 'Collection');
+
+        const data = await response.json();
+        return (data.folders || []).map(f => ({ id: f.id, name: f.name, count: f.count }));
+    },
+
+    // Collection and wantlist items share the { id, basic_information } shape
+    _collectionItems(items) {
+        return items.map(item => {
+            const info = item.basic_information || {};
+            return {
+                id: item.id,
+                title: info.title || '',
+                artist: info.artists && info.artists.length > 0 ? info.artists[0].name : ''
+            };
+        });
+    },
+
+    async fetchCollectionPage(username, folderId = 0, page = 1, perPage = 100) {
+        const user = encodeURIComponent(username);
+        const params = new URLSearchParams({ page, per_page: perPage });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/collection/folders/${folderId}/releases?${params.toString()}`, {});
+        if (!response.ok) throw _libraryError(response, 'Collection');
+
+        const data = await response.json();
+        return {
+            releases: this._collectionItems(data.releases || []),
+            pages: (data.pagination && data.pagination.pages) || 0
+        };
+    },
+
+    async fetchWantlistPage(username, page = 1, perPage = 100) {
+        const user = encodeURIComponent(username);
+        const params = new URLSearchParams({ page, per_page: perPage });
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/wants?${params.toString()}`, {});
+        if (!response.ok) throw _libraryError(response, 'Wantlist');
+
+        const data = await response.json();
+        return {
+            releases: this._collectionItems(data.wants || []),
+            pages: (data.pagination && data.pagination.pages) || 0
+        };
+    },
+
+    // ─── Account actions (need an OAuth session, see accountService) ─────────
+
+    async fetchCollectionStatus(username, releaseId, priority = 'normal') {
+        const user = encodeURIComponent(username);
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/collection/releases/${releaseId}`, {}, priority);
+        // Discogs answers 404 for a release the user doesn't own
+        if (response.status === 404) return false;
+        if (!response.ok) {
+            if (response.status === 429) throw new Error('TOO_MANY_REQUESTS');
+            throw new Error(`Discogs Collection API Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return !!(data.releases && data.releases.length > 0);
+    },
+
+    async addToWantlist(username, releaseId) {
+        const user = encodeURIComponent(username);
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/wants/${releaseId}`, { method: 'PUT' }, 'high');
+        if (!response.ok) {
+            throw new Error(`Discogs Wantlist API Error: ${response.status}`);
+        }
+    },
+
+    // Folder 1 is "Uncategorized", the only folder Discogs lets every user add to
+    async addToCollection(username, releaseId) {
+        const user = encodeURIComponent(username);
+        const response = await rateLimitedFetch(`${CONFIG.DISCOGS_BASE_URL}/users/${user}/collection/folders/1/releases/${releaseId}`, { method: 'POST' }, 'high');
+        if (!response.ok) {
+            throw new Error(`Discogs Collection API Error: ${response.status}`);
+        }
     },
 
     // Call at the start of each new exploration session to reset per-session caches.
@@ -281,5 +929,7 @@ export const discogsService = {
         Object.keys(criteriaReleasePools).forEach(k => delete criteriaReleasePools[k]);
         Object.keys(totalPagesCache).forEach(k => delete totalPagesCache[k]);
         Object.keys(pendingPageProbes).forEach(k => delete pendingPageProbes[k]);
+        Object.keys(yearCounts).forEach(k => delete yearCounts[k]);
+        Object.keys(comboTotals).forEach(k => delete comboTotals[k]);
     }
 };
@@ -1,21 +1,31 @@
 import { CONFIG } from '../config.js';
 import { videoPlayer } from './videoPlayer.js';
 import { overlayUI } from './overlayUI.js';
+import { videoAvailability } from './videoAvailability.js';
+
+// Player errors that say the video itself is gone or not embeddable (100: removed/private,
+// 101/150: embedding disabled). Others, like 5 (HTML5 playback error), can pass on a retry.
+const PERMANENT_PLAYER_ERRORS = [100, 101, 150];
 
 export const feedManager = {
     cardBuffer: [],
     currentIndex: 0,
     container: null,
     fetchCallback: null,
+    requeueCallback: null,
+    detourAnchor: null, // index of the card an artist deep-dive branched from
     observer: null,
     isNavigating: false,
     isPreloading: false,
 
-    init(feedContainerElement, fetchCardDataCallback) {
+    init(feedContainerElement, fetchCardDataCallback, requeueCallback = null) {
         this.container = feedContainerElement;
         this.fetchCallback = fetchCardDataCallback;
+        this.requeueCallback = requeueCallback;
         this.currentIndex = 0;
         this.isPreloading = false;
+        this.detourAnchor = null;
+        this.hideBreadcrumb();
 
         // Set up intersection observer to detect current card.
         // Use a single threshold and pick only the most-visible entry per batch
@@ -87,7 +97,8 @@ export const feedManager = {
                 domElement: null,
                 playerInstance: null,
                 _creatingPromise: null,
-                wasActive: false
+                wasActive: false,
+                item: null // what the buffer handed out, kept so it can be requeued
             });
 
             if (i === this.currentIndex || i === this.currentIndex + 1) {
@@ -103,16 +114,23 @@ export const feedManager = {
             }
 
             // Asynchronously resolve this empty slot by asking the buffer
-            (async (index) => {
+            (async (index, slot) => {
                 const data = await this.fetchCallback(); // This will point to dataBuffer.consume()
-                // Guard: pipeline may have been reset while we were waiting
-                if (data && data.album && this.cardBuffer[index]) {
-                    if (this.cardBuffer[index].domElement) {
-                        this.cardBuffer[index].domElement.remove();
-                    }
-                    this.renderCard(index, data.album, data.videoId);
+                if (!data || !data.album) return;
+
+                // Guard: pipeline may have been reset, or the slot dropped by a detour,
+                // while we were waiting. Hand the item back instead of losing it.
+                if (this.cardBuffer[index] !== slot) {
+                    if (this.requeueCallback) this.requeueCallback(data);
+                    return;
                 }
-            })(i);
+
+                if (slot.domElement) {
+                    slot.domElement.remove();
+                }
+                slot.item = data;
+                this.renderCard(index, data.album, data.videoId);
+            })(i, this.cardBuffer[i]);
         }
     },
 
@@ -154,7 +172,7 @@ export const feedManager = {
         // Add click listener for Play/Pause
         overlay.addEventListener('click', (e) => {
             // Don't toggle if clicking on a button
-            if (e.target.closest('.action-btn')) return;
+            if (e.target.closest('.action-btn, .side-btn, .details-handle, .details-sheet, .track-btn')) return;
 
             if (card.playerInstance && typeof card.playerInstance.getPlayerState === 'function') {
                 const state = card.playerInstance.getPlayerState();
@@ -167,6 +185,14 @@ export const feedManager = {
             }
         });
 
+        // A track tapped in the details sheet takes over this card's player
+        overlay.addEventListener('trackSelected', (e) => {
+            this.playTrack(card, e.detail.videoId);
+        });
+        overlay.addEventListener('trackSkip', (e) => {
+            this.skipTrack(card, e.detail.step);
+        });
+
         el.appendChild(overlay);
 
         // Add Unmute button for the first card to bypass autoplay policy
@@ -211,6 +237,10 @@ export const feedManager = {
         // instead of spawning a second player on top of the first.
         if (!card._creatingPromise) {
             const playlistId = card.album ? card.album.youtubePlaylistId : null;
+            // Play the album in tracklist order from the card's track on
+            const order = card.album && card.album.playOrder ? card.album.playOrder : [];
+            const start = order.indexOf(card.videoId);
+            const videos = start >= 0 && order.length > 1 ? order.slice(start) : card.videoId;
             // Only navigate to the next card when THIS card is still the active one.
             // Pre-buffered players (index ≠ currentIndex) must not trigger navigation.
             const onEnded = () => {
@@ -218,8 +248,21 @@ export const feedManager = {
                     document.dispatchEvent(new CustomEvent('videoEnded'));
                 }
             };
-            card._creatingPromise = videoPlayer.createPlayer(card.domElement, card.videoId, playlistId, onEnded)
+            const onVideoChange = (videoId) => {
+                card.videoId = videoId;
+                overlayUI.setNowPlaying(card.domElement, card.album, videoId);
+            };
+            const onError = (videoId, code) => {
+                if (PERMANENT_PLAYER_ERRORS.includes(code)) videoAvailability.markDead(videoId);
+                this.skipDeadVideo(card, videoId);
+            };
+            card._creatingPromise = videoPlayer.createPlayer(card.domElement, videos, playlistId, onEnded, { onVideoChange, onError })
                 .then(player => {
+                    // The card may have been dropped by a detour while the player loaded
+                    if (this.cardBuffer[index] !== card) {
+                        videoPlayer.destroyPlayer(player);
+                        return;
+                    }
                     card.playerInstance = player;
                     card._creatingPromise = null;
                 });
@@ -227,6 +270,42 @@ export const feedManager = {
         return card._creatingPromise;
     },
 
+    playTrack(card, videoId) {
+        card.videoId = videoId;
+        overlayUI.setNowPlaying(card.domElement, card.album, videoId);
+        if (videoPlayer.loadVideo(card.playerInstance, videoId, card.album.playOrder)) {
+            if (card.index === this.currentIndex && typeof card.playerInstance.unMute === 'function') {
+                card.playerInstance.unMute();
+            }
+            return;
+        }
+        // No player yet: it will start on the picked track once created
+        this.createPlayerIfNeeded(card.index);
+    },
+
+    // Previous/next track of the card's album, following the tracklist
+    skipTrack(card, step) {
+        const order = card.album.playOrder || [];
+        const target = order[order.indexOf(card.videoId) + step];
+        if (target) this.playTrack(card, target);
+    },
+
+    // A video failed in the player: fall through to the album's next playable one,
+    // or move on to the next card when there's nothing left
+    skipDeadVideo(card, videoId) {
+        const album = card.album || {};
+        const order = album.playOrder && album.playOrder.length > 0 ? album.playOrder : (album.youtubeVideoIds || []);
+        const at = order.indexOf(videoId);
+        const next = [...order.slice(at + 1), ...order.slice(0, Math.max(at, 0))]
+            .find(id => id !== videoId && videoAvailability.isPlayable(id));
+
+        if (next) {
+            this.playTrack(card, next);
+        } else if (this.currentIndex === card.index) {
+            document.dispatchEvent(new CustomEvent('videoEnded'));
+        }
+    },
+
     destroyPlayerIfExists(index) {
         if (index < 0 || index >= this.cardBuffer.length) return;
         const card = this.cardBuffer[index];
@@ -290,6 +369,17 @@ export const feedManager = {
         this.createPlayerIfNeeded(index + 2);
         this.createPlayerIfNeeded(index + 3);
 
+        // Marketplace prices and collection badges: only for the active card and its direct neighbours
+        for (let i = index - 1; i <= index + 1; i++) {
+            const card = this.cardBuffer[i];
+            if (card && card.state === 'ready') {
+                // The card on screen jumps the Discogs queue; its neighbours wait their turn
+                const priority = i === index ? 'high' : 'low';
+                overlayUI.loadMarketplace(card.domElement, card.album, priority);
+                overlayUI.loadOwnership(card.domElement, card.album, priority);
+            }
+        }
+
         // Destroy players outside the window (keep N-1 … N+3, destroy N-2 and N+4)
         this.destroyPlayerIfExists(index - 2);
         this.destroyPlayerIfExists(index + 4);
@@ -298,6 +388,72 @@ export const feedManager = {
         this.preloadCards(this.currentIndex);
     },
 
+    // ─── Detours (artist deep-dive) ───────────────────────────────────────────
+
+    // Keep the current card, drop everything after it and refill from the detour stream.
+    // `startDetour` switches the data source; nested detours keep the original anchor.
+    enterDetour(startDetour, title) {
+        if (this.detourAnchor === null) this.detourAnchor = this.currentIndex;
+
+        this.dropCardsAfter(this.currentIndex);
+        startDetour();
+        this.showBreadcrumb(title);
+        this.preloadCards(this.currentIndex);
+    },
+
+    // Back to the card the first detour branched from; the main stream resumes after it
+    exitDetour(endDetour) {
+        if (this.detourAnchor === null) return;
+        const anchor = this.detourAnchor;
+        this.detourAnchor = null;
+
+        // End first, so detour items still in flight are discarded rather than requeued
+        endDetour();
+        this.hideBreadcrumb();
+        this.dropCardsAfter(anchor);
+
+        const card = this.cardBuffer[anchor];
+        if (card && card.domElement) {
+            card.domElement.scrollIntoView({ behavior: 'auto' });
+        }
+        if (this.currentIndex !== anchor) {
+            this.handleCardVisible(anchor);
+        } else {
+            this.preloadCards(anchor);
+        }
+    },
+
+    dropCardsAfter(index) {
+        const dropped = this.cardBuffer.splice(index + 1);
+
+        // Hand never-watched cards back in reverse, so the stream resumes in the same order
+        dropped.slice().reverse().forEach(card => {
+            if (card.item && !card.wasActive && this.requeueCallback) {
+                this.requeueCallback(card.item);
+            }
+        });
+
+        dropped.forEach(card => {
+            if (card.playerInstance) videoPlayer.destroyPlayer(card.playerInstance);
+            if (card.domElement) {
+                if (this.observer) this.observer.unobserve(card.domElement);
+                card.domElement.remove();
+            }
+        });
+    },
+
+    showBreadcrumb(title) {
+        const btn = document.getElementById('breadcrumb-btn');
+        if (!btn) return;
+        btn.querySelector('span').textContent = `← FEED · ${title}`;
+        btn.classList.remove('hidden');
+    },
+
+    hideBreadcrumb() {
+        const btn = document.getElementById('breadcrumb-btn');
+        if (btn) btn.classList.add('hidden');
+    },
+
     navigateTo(index) {
         if (index < 0 || index >= this.cardBuffer.length) return;
         this.isNavigating = true;
@@ -0,0 +1,34 @@
+/**
+ * idbUtils — the IndexedDB plumbing shared by releaseCache and persistentStore.
+ *
+ * Both treat IndexedDB as optional: opening resolves to null instead of
+ * failing (no IndexedDB, private mode, blocked upgrade), and requests resolve
+ * to undefined on error, so callers only ever deal with "no data".
+ */
+
+export const idbUtils = {
+    // Open `name` at `version`; `upgrade(req, event)` runs inside the versionchange
+    // transaction. Resolves to the database, or null when it can't be opened.
+    open(name, version, upgrade) {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            try {
+                const req = indexedDB.open(name, version);
+                req.onupgradeneeded = event => upgrade(req, event);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => resolve(null);
+                req.onblocked = () => resolve(null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    },
+
+    // Wrap an IDBRequest in a promise that never rejects
+    request(req) {
+        return new Promise(resolve => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => resolve(undefined);
+        });
+    }
+};
@@ -0,0 +1,127 @@
+/**
+ * labelService — walks the catalogue of one or more Discogs record labels.
+ *
+ * Two orders:
+ *   - 'random':        pick a label (weighted by remaining catalogue size), jump to
+ *                      a random page not visited yet, shuffle it and drain it.
+ *   - 'chronological': page every label by year ascending and merge them, always
+ *                      emitting the oldest pending release across all labels.
+ *
+ * Only summaries come from here; videos are pulled by discogsService.fetchReleaseDetails.
+ */
+import { discogsService } from './discogsService.js';
+import { arrayUtils } from './arrayUtils.js';
+
+const PER_PAGE = 100;
+
+let labels = [];   // [{ id, name }]
+let order = 'random';
+let state = {};    // labelId -> { buffer: [], pages: null, unvisited: [], nextPage: 1, items: 0, emitted: 0 }
+const emittedIds = new Set(); // A release can sit on several of the walked labels
+
+function _hasMore(s) {
+    if (s.buffer.length > 0) return true;
+    if (s.pages === null) return true;
+    return order === 'random' ? s.unvisited.length > 0 : s.nextPage <= s.pages;
+}
+
+async function _loadPage(label, page) {
+    const s = state[label.id];
+    const sort = order === 'chronological' ? { sort: 'year', sort_order: 'asc' } : {};
+    const data = await discogsService.fetchLabelReleasesPage(label.id, page, PER_PAGE, sort);
+
+    if (s.pages === null) {
+        s.pages = data.pages;
+        s.items = data.items;
+        // Page 1 is being consumed right now, the rest are still to visit
+        s.unvisited = Array.from({ length: Math.max(0, data.pages - 1) }, (_, i) => i + 2);
+        s.nextPage = 2;
+    } else if (order === 'chronological') {
+        s.nextPage = page + 1;
+    }
+
+    const releases = data.releases.map(r => ({ ...r, labelName: label.name }));
+    s.buffer.push(...(order === 'random' ? arrayUtils.shuffle(releases) : releases));
+}
+
+// Make sure the label has something buffered, fetching its next page if needed
+async function _fill(label) {
+    const s = state[label.id];
+    while (s.buffer.length === 0 && _hasMore(s)) {
+        if (s.pages === null) {
+            await _loadPage(label, 1);
+        } else if (order === 'random') {
+            // Only mark the page visited once it loaded, so a failed fetch can be retried
+            const page = s.unvisited[Math.floor(Math.random() * s.unvisited.length)];
+            await _loadPage(label, page);
+            s.unvisited = s.unvisited.filter(p => p !== page);
+        } else {
+            await _loadPage(label, s.nextPage);
+        }
+    }
+}
+
+function _pickRandomLabel(candidates) {
+    // Unprobed labels count as one page, so they get probed soon
+    const weights = candidates.map(l => {
+        const s = state[l.id];
+        return s.pages === null ? PER_PAGE : Math.max(1, s.items - s.emitted);
+    });
+    let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < candidates.length; i++) {
+        r -= weights[i];
+        if (r < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+}
+
+function _releaseYear(release) {
+    const y = parseInt(release.year, 10);
+    return y > 0 ? y : Infinity; // Undated releases go last
+}
+
+export const labelService = {
+    init(selectedLabels, selectedOrder = 'random') {
+        labels = selectedLabels.slice();
+        order = selectedOrder === 'chronological' ? 'chronological' : 'random';
+        state = {};
+        emittedIds.clear();
+        labels.forEach(l => {
+            state[l.id] = { buffer: [], pages: null, unvisited: [], nextPage: 1, items: 0, emitted: 0 };
+        });
+    },
+
+    // Next release summary, or null once every label's catalogue is exhausted
+    async nextRelease() {
+        while (true) {
+            const active = labels.filter(l => _hasMore(state[l.id]));
+            if (active.length === 0) return null;
+
+            let label;
+            if (order === 'random') {
+                label = _pickRandomLabel(active);
+                await _fill(label);
+            } else {
+                // Chronological merge: every label needs its head buffered to compare years
+                for (const l of active) await _fill(l);
+                const heads = active.filter(l => state[l.id].buffer.length > 0);
+                if (heads.length === 0) continue;
+                label = heads.reduce((best, l) =>
+                    _releaseYear(state[l.id].buffer[0]) < _releaseYear(state[best.id].buffer[0]) ? l : best);
+            }
+
+            const s = state[label.id];
+            const release = s.buffer.shift();
+            if (!release) continue;
+            s.emitted++;
+
+            if (emittedIds.has(release.id)) continue;
+            emittedIds.add(release.id);
+            return release;
+        }
+    },
+
+    getLabels() {
+        return labels.slice();
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * marketplaceService — lazy Discogs marketplace stats (lowest price, copies for sale).
+ *
+ * Stats are only requested for the active card and its neighbours, and every
+ * release is fetched at most once per page session. The whole layer can be
+ * switched off from the category screen; the choice is persisted.
+ */
+import { discogsService } from './discogsService.js';
+
+const statsCache = new Map(); // releaseId -> Promise<stats|null>
+
+function _loadEnabled() {
+    try {
+        return localStorage.getItem('marketplace_enabled') !== 'false';
+    } catch (e) {
+        return true;
+    }
+}
+
+let enabled = _loadEnabled();
+
+function _isDiscogsRelease(releaseId) {
+    return !!releaseId && /^\d+$/.test(String(releaseId));
+}
+
+// One request per release and page session, whoever asks first
+function _fetchStats(releaseId, priority) {
+    if (!statsCache.has(releaseId)) {
+        const pending = discogsService.fetchMarketplaceStats(releaseId, undefined, priority).catch(err => {
+            console.warn('Marketplace stats unavailable:', err.message);
+            // Don't pin a transient failure for the rest of the session
+            statsCache.delete(releaseId);
+            return null;
+        });
+        statsCache.set(releaseId, pending);
+    }
+    return statsCache.get(releaseId);
+}
+
+export const marketplaceService = {
+    isEnabled() {
+        return enabled;
+    },
+
+    setEnabled(value) {
+        enabled = !!value;
+        try { localStorage.setItem('marketplace_enabled', String(enabled)); } catch (e) {}
+    },
+
+    // Resolves to the stats or null (layer disabled, not a Discogs release, or lookup failed)
+    getStats(releaseId, priority = 'normal') {
+        if (!enabled || !_isDiscogsRelease(releaseId)) return Promise.resolve(null);
+        return _fetchStats(releaseId, priority);
+    },
+
+    // For the "only for sale" filter, which applies even with the price layer off:
+    // true or false, or null when it can't be told (lookup failed, not a Discogs release).
+    // The answer seeds the cache the card's price line reads from later.
+    async isForSale(releaseId, priority = 'normal') {
+        if (!_isDiscogsRelease(releaseId)) return null;
+        const stats = await _fetchStats(releaseId, priority);
+        return stats ? stats.numForSale > 0 : null;
+    }
+};
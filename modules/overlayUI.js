@@ -1,4 +1,6 @@
 import { youtubeService } from './youtubeService.js';
+import { marketplaceService } from './marketplaceService.js';
+import { accountService } from './accountService.js';
 
 function escHtml(str) {
   return String(str ?? '')
@@ -59,13 +61,40 @@ export const overlayUI = {
 
     const categoryName = escHtml(album.category ? album.category.toUpperCase() : 'UNKNOWN');
 
+    // Details sheet: only Discogs releases carry a tracklist, credits and so on
+    const hasDetails = !album.isChannelMode && Array.isArray(album.tracks);
+    const trackCount = !album.isChannelMode && album.playOrder ? album.playOrder.length : 0;
+
+    // Wantlist/collection actions only make sense for real Discogs releases
+    const canUseAccount = accountService.isLoggedIn() && !album.isChannelMode && /^\d+$/.test(String(album.releaseId));
+
     overlay.innerHTML = `
+      ${canUseAccount ? `
+      <div class="side-actions">
+        <button type="button" class="side-btn want-btn" title="Aggiungi alla wantlist">♡</button>
+        <button type="button" class="side-btn collection-btn" title="Aggiungi alla collezione">＋</button>
+      </div>` : ''}
       <div class="overlay-top">
         <span class="category-badge">${categoryName}</span>
+        <span class="owned-badge hidden">✓ IN COLLEZIONE</span>
+        ${album.isNew ? '<span class="new-badge" title="Caricato nelle ultime due settimane">NUOVO</span>' : ''}
+        ${album.discogsMatch ? `<span class="match-badge ${album.discogsMatch.level}" title="Release Discogs riconosciuta dal titolo del video (affidabilità ${Math.round(album.discogsMatch.confidence * 100)}%)">◉ DISCOGS ${Math.round(album.discogsMatch.confidence * 100)}%</span>` : ''}
+        ${album.autoMatched ? `<span class="auto-badge" title="Video trovato con una ricerca YouTube (affidabilità ${Math.round(Math.min(album.autoMatched.score, 1) * 100)}%)">🔎 AUTO-MATCH</span>` : ''}
         <span class="artist-name">${escHtml(album.artist)}</span>
         <span class="album-title">${escHtml(album.title)}</span>
         <span class="album-year">${escHtml(album.year)}</span>
+        ${album.catno ? `<span class="album-catno">${escHtml([album.label, album.catno].filter(Boolean).join(' · '))}</span>` : ''}
+        ${album.format ? `<span class="album-format">${escHtml(album.format)}</span>` : ''}
+        ${album.isChannelMode && album.genres && album.genres.length ? `<span class="album-format">${escHtml(album.genres.join(' · '))}</span>` : ''}
+        ${trackCount > 0 ? `
+        <div class="now-playing hidden">
+          ${trackCount > 1 ? '<button type="button" class="track-btn" data-step="-1" title="Traccia precedente">⏮</button>' : ''}
+          <span class="now-playing-title"></span>
+          ${trackCount > 1 ? '<button type="button" class="track-btn" data-step="1" title="Traccia successiva">⏭</button>' : ''}
+        </div>` : ''}
+        ${album.have !== null && album.have !== undefined ? `<span class="album-community">${escHtml(album.have)} have · ${escHtml(album.want ?? 0)} want${album.rating ? ` · ★ ${escHtml(album.rating.toFixed(1))}` : ''}</span>` : ''}
       </div>
+      ${hasDetails ? '<button type="button" class="details-handle">▲ DETTAGLI</button>' : ''}
       <div class="overlay-bottom">
         <a href="${album.discogsUrl}" target="_blank" class="action-btn">
           🔴 DISCOGS
@@ -73,9 +102,223 @@ export const overlayUI = {
         <a href="${playlistBtnHref}" ${playlistTarget ? `target="${playlistTarget}"` : ''} class="${playlistBtnClass}">
           ${playlistBtnText}
         </a>
+        ${album.artistId ? '<button type="button" class="action-btn artist-btn">＋ ARTISTA</button>' : ''}
+        ${!album.isChannelMode && marketplaceService.isEnabled() ? '<a target="_blank" class="action-btn market-btn disabled">💿 …</a>' : ''}
       </div>
+      ${hasDetails ? '<div class="details-sheet" aria-hidden="true"></div>' : ''}
     `;
 
+    if (hasDetails) {
+      this.bindDetailsSheet(overlay, album);
+    }
+
+    // ⏮ / ⏭ move through the album; feedManager drives the player
+    overlay.querySelectorAll('.track-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        btn.dispatchEvent(new CustomEvent('trackSkip', { bubbles: true, detail: { step: Number(btn.dataset.step) } }));
+      });
+    });
+
+    if (canUseAccount) {
+      this.bindAccountActions(overlay, album);
+    }
+
+    // "More from this artist": feedManager/app.js turn this into a discography detour
+    const artistBtn = overlay.querySelector('.artist-btn');
+    if (artistBtn) {
+      artistBtn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('artistDeepDive', { detail: { album } }));
+      });
+    }
+
     return overlay;
+  },
+
+  // ─── Details sheet ───────────────────────────────────────────────────────
+
+  // Tap or swipe up on the handle to open, swipe down on the header or ✕ to close.
+  // The content is only built on first open: most cards are never expanded.
+  bindDetailsSheet(overlay, album) {
+    const handle = overlay.querySelector('.details-handle');
+    const sheet = overlay.querySelector('.details-sheet');
+
+    const open = () => {
+      if (!sheet.dataset.rendered) {
+        sheet.innerHTML = this.renderDetailsSheet(album);
+        sheet.dataset.rendered = 'true';
+        sheet.querySelectorAll('.details-track').forEach(t => {
+          t.classList.toggle('playing', !!t.dataset.videoId && t.dataset.videoId === overlay.dataset.playing);
+        });
+      }
+      sheet.classList.add('open');
+      sheet.setAttribute('aria-hidden', 'false');
+    };
+    const close = () => {
+      sheet.classList.remove('open');
+      sheet.setAttribute('aria-hidden', 'true');
+    };
+
+    handle.addEventListener('click', open);
+    this.onSwipe(handle, dy => { if (dy < -30) open(); });
+
+    sheet.addEventListener('click', (e) => {
+      if (e.target.closest('.details-close')) {
+        close();
+        return;
+      }
+      // Tracks with a linked video: feedManager switches this card's player to it
+      const track = e.target.closest('.details-track[data-video-id]');
+      if (track) {
+        track.dispatchEvent(new CustomEvent('trackSelected', { bubbles: true, detail: { videoId: track.dataset.videoId } }));
+      }
+    });
+    sheet.addEventListener('touchstart', (e) => {
+      // Only the header drags the sheet down; the body scrolls
+      if (!e.target.closest('.details-sheet-header')) return;
+      const startY = e.touches[0].clientY;
+      sheet.addEventListener('touchend', (end) => {
+        if (end.changedTouches[0].clientY - startY > 30) close();
+      }, { once: true });
+    }, { passive: true });
+  },
+
+  // "▶ A2 – Track Name" for the video the card's player is on, mirrored in the details sheet
+  setNowPlaying(cardElement, album, videoId) {
+    const line = cardElement && cardElement.querySelector('.now-playing');
+    if (!line) return;
+
+    const track = (album.tracks || []).find(t => t.videoId === videoId);
+    const video = (album.videos || []).find(v => v.id === videoId);
+    const label = track ? [track.position, track.title].filter(Boolean).join(' – ') : (video ? video.title : '');
+
+    line.querySelector('.now-playing-title').textContent = label ? `▶ ${label}` : '';
+    line.classList.toggle('hidden', !label);
+    line.closest('.card-overlay').dataset.playing = videoId;
+
+    cardElement.querySelectorAll('.details-track').forEach(t => {
+      t.classList.toggle('playing', t.dataset.videoId === videoId);
+    });
+  },
+
+  onSwipe(element, callback) {
+    element.addEventListener('touchstart', (e) => {
+      const startY = e.touches[0].clientY;
+      element.addEventListener('touchend', (end) => callback(end.changedTouches[0].clientY - startY), { once: true });
+    }, { passive: true });
+  },
+
+  renderDetailsSheet(album) {
+    const section = (title, body) => body ? `<section><h3>${title}</h3>${body}</section>` : '';
+
+    const tracks = (album.tracks || []).map(t => t.heading
+      ? `<li class="details-heading">${escHtml(t.title)}</li>`
+      : `<li class="details-track${t.videoId ? ' has-video' : ''}"${t.videoId ? ` data-video-id="${escHtml(t.videoId)}"` : ''}>
+          <span class="track-pos">${escHtml(t.position)}</span>
+          <span class="track-title">${escHtml(t.title)}</span>
+          <span class="track-duration">${escHtml(t.duration)}</span>
+        </li>`).join('');
+
+    const labels = (album.labels || [])
+      .map(l => `<li>${escHtml(l.name)}${l.catno ? ` <span class="details-dim">· ${escHtml(l.catno)}</span>` : ''}</li>`)
+      .join('');
+
+    const formats = (album.formats || []).map(f => `<li>${escHtml(f)}</li>`).join('');
+
+    const credits = (album.credits || [])
+      .map(c => `<dt>${escHtml(c.role)}</dt><dd>${escHtml(c.names.join(', '))}</dd>`)
+      .join('');
+
+    const images = (album.images || [])
+      .map(img => `<a href="${escHtml(img.uri)}" target="_blank"><img src="${escHtml(img.thumb)}" loading="lazy" alt=""></a>`)
+      .join('');
+
+    return `
+      <div class="details-sheet-header">
+        <span class="details-grip"></span>
+        <button type="button" class="details-close" title="Chiudi">✕</button>
+      </div>
+      <div class="details-sheet-body">
+        ${section('TRACKLIST', tracks && `<ol class="details-tracks">${tracks}</ol>`)}
+        ${section('ETICHETTE', labels && `<ul class="details-list">${labels}</ul>`)}
+        ${section('FORMATO', formats && `<ul class="details-list">${formats}</ul>`)}
+        ${section('CREDITI', credits && `<dl class="details-credits">${credits}</dl>`)}
+        ${section('NOTE', album.notes && `<p class="details-notes">${escHtml(album.notes)}</p>`)}
+        ${section('IMMAGINI', images && `<div class="details-gallery">${images}</div>`)}
+      </div>
+    `;
+  },
+
+  bindAccountActions(overlay, album) {
+    const wantBtn = overlay.querySelector('.want-btn');
+    const collectionBtn = overlay.querySelector('.collection-btn');
+
+    wantBtn.addEventListener('click', async () => {
+      wantBtn.disabled = true;
+      try {
+        await accountService.addToWantlist(album.releaseId);
+        wantBtn.textContent = '♥';
+        wantBtn.classList.add('done');
+      } catch (err) {
+        console.error('Wantlist error:', err);
+        wantBtn.disabled = false;
+      }
+    });
+
+    collectionBtn.addEventListener('click', async () => {
+      collectionBtn.disabled = true;
+      try {
+        await accountService.addToCollection(album.releaseId);
+        this.markOwned(overlay);
+      } catch (err) {
+        console.error('Collection error:', err);
+        collectionBtn.disabled = false;
+      }
+    });
+  },
+
+  markOwned(root) {
+    const badge = root.querySelector('.owned-badge');
+    if (badge) badge.classList.remove('hidden');
+    const btn = root.querySelector('.collection-btn');
+    if (btn) {
+      btn.textContent = '✓';
+      btn.classList.add('done');
+      btn.disabled = true;
+    }
+  },
+
+  // Show the "in your collection" badge once the card is near the viewport (see feedManager)
+  async loadOwnership(cardElement, album, priority = 'normal') {
+    const badge = cardElement && cardElement.querySelector('.owned-badge');
+    if (!badge || badge.dataset.loaded) return;
+    badge.dataset.loaded = 'pending';
+
+    if (await accountService.isInCollection(album.releaseId, priority)) {
+      this.markOwned(cardElement);
+    }
+    badge.dataset.loaded = 'done';
+  },
+
+  // Fill the marketplace button once the card is near the viewport (see feedManager)
+  async loadMarketplace(cardElement, album, priority = 'normal') {
+    const btn = cardElement && cardElement.querySelector('.market-btn');
+    if (!btn || btn.dataset.loaded) return;
+    btn.dataset.loaded = 'pending';
+
+    const stats = await marketplaceService.getStats(album.releaseId, priority);
+    if (!stats) {
+      btn.remove();
+      return;
+    }
+
+    btn.href = stats.marketplaceUrl;
+    if (stats.numForSale > 0 && stats.lowestPrice !== null) {
+      const price = new Intl.NumberFormat('it-IT', { style: 'currency', currency: stats.currency }).format(stats.lowestPrice);
+      btn.textContent = `💿 BUY ${price} (${stats.numForSale})`;
+      btn.classList.remove('disabled');
+    } else {
+      btn.textContent = '💿 NON IN VENDITA';
+    }
+    btn.dataset.loaded = 'done';
   }
 };
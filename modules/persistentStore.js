@@ -0,0 +1,199 @@
+/**
+ * persistentStore — IndexedDB key/value store for the app's bulky state:
+ * channel archives (`channel_<channel or playlist ID>`), the seen-sets and the per-video
+ * verdicts of videoAvailability and discogsMatcher.
+ *
+ * These used to live in localStorage, where a few large channels hit the 5 MB
+ * quota (the failed writes were swallowed) and every swipe re-serialised
+ * thousands of IDs on the main thread. Here:
+ * - values are stored as-is (structured clone, no JSON);
+ * - set()/remove() only queue the change; queued changes are written together
+ *   in one transaction after FLUSH_DELAY_MS, or right away when the page is
+ *   hidden, so a burst of swipes costs a single write;
+ * - the first open moves the old localStorage keys over, then deletes them;
+ * - without IndexedDB (private mode in some browsers) everything falls back to
+ *   localStorage, as before.
+ */
+import { idbUtils } from './idbUtils.js';
+
+const DB_NAME = 'app_store';
+const DB_VERSION = 2; // 2: also takes over video_status and video_matches
+const STORE = 'entries';
+
+const FLUSH_DELAY_MS = 1000;
+
+// localStorage keys that belong here now: channel archives, seen-sets and video verdicts,
+// but not the small channel_order preference, which stays in localStorage
+const MIGRATED_KEY_RE = /^(channel_(?!order$).+|seen_releases|seen_masters|seen_videos|video_status|video_matches)$/;
+
+const REMOVED = Symbol('removed');
+
+const pending = new Map(); // key -> value | REMOVED, not yet written
+let flushTimer = null;
+let lastError = null;
+let dbPromise = null;
+
+function _legacyKeys() {
+    try {
+        return Object.keys(localStorage).filter(key => MIGRATED_KEY_RE.test(key));
+    } catch (e) {
+        return [];
+    }
+}
+
+function _openDb() {
+    if (!dbPromise) {
+        let migrated = [];
+        dbPromise = idbUtils.open(DB_NAME, DB_VERSION, (req, event) => {
+            const store = event.oldVersion < 1
+                ? req.result.createObjectStore(STORE)
+                : req.transaction.objectStore(STORE);
+            // Same transaction as the upgrade: either everything moves or nothing does.
+            // Keys moved by an earlier version are gone from localStorage by now.
+            migrated = _legacyKeys();
+            migrated.forEach(key => {
+                try { store.put(JSON.parse(localStorage.getItem(key)), key); } catch (e) {}
+            });
+        }).then(db => {
+            // Only once the upgrade committed
+            if (db) {
+                migrated.forEach(key => {
+                    try { localStorage.removeItem(key); } catch (e) {}
+                });
+            }
+            return db;
+        });
+    }
+    return dbPromise;
+}
+
+function _fallbackGet(key) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function _fallbackWrite(changes) {
+    changes.forEach(([key, value]) => {
+        try {
+            if (value === REMOVED) localStorage.removeItem(key);
+            else localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            lastError = e;
+            console.warn(`[persistentStore] could not save ${key}:`, e.message);
+        }
+    });
+}
+
+function _scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        persistentStore.flush();
+    }, FLUSH_DELAY_MS);
+}
+
+// A hidden page may never come back: write what's queued while we still can
+if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') persistentStore.flush();
+    });
+}
+
+export const persistentStore = {
+    // Stored value, or undefined; a queued write is returned before it reaches the disk
+    async get(key) {
+        if (pending.has(key)) {
+            const value = pending.get(key);
+            return value === REMOVED ? undefined : value;
+        }
+
+        const db = await _openDb();
+        if (!db) return _fallbackGet(key);
+        try {
+            return await idbUtils.request(db.transaction(STORE, 'readonly').objectStore(STORE).get(key));
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    // Queue a write. The value is stored as it is at flush time, so callers may keep mutating it.
+    set(key, value) {
+        pending.set(key, value);
+        _scheduleFlush();
+    },
+
+    remove(key) {
+        pending.set(key, REMOVED);
+        _scheduleFlush();
+    },
+
+    // Write every queued change in one transaction
+    async flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (pending.size === 0) return;
+
+        const changes = [...pending];
+        pending.clear();
+
+        const db = await _openDb();
+        if (!db) return _fallbackWrite(changes);
+
+        await new Promise(resolve => {
+            try {
+                const tx = db.transaction(STORE, 'readwrite');
+                const store = tx.objectStore(STORE);
+                changes.forEach(([key, value]) => {
+                    if (value === REMOVED) store.delete(key);
+                    else store.put(value, key);
+                });
+                tx.oncomplete = () => resolve();
+                tx.onerror = tx.onabort = () => {
+                    lastError = tx.error;
+                    console.warn('[persistentStore] write failed:', tx.error && tx.error.message);
+                    resolve();
+                };
+            } catch (e) {
+                lastError = e;
+                console.warn('[persistentStore] write failed:', e.message);
+                resolve();
+            }
+        });
+    },
+
+    // { backend, entries, usage, quota, lastError }; usage/quota (bytes) cover the whole
+    // origin, as the browser reports them, and are null where it doesn't
+    async usage() {
+        const db = await _openDb();
+        let entries = 0;
+        if (db) {
+            try {
+                entries = (await idbUtils.request(db.transaction(STORE, 'readonly').objectStore(STORE).count())) || 0;
+            } catch (e) {}
+        } else {
+            entries = _legacyKeys().length;
+        }
+
+        let usage = null;
+        let quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                ({ usage = null, quota = null } = await navigator.storage.estimate());
+            } catch (e) {}
+        }
+
+        return {
+            backend: db ? 'indexedDB' : 'localStorage',
+            entries,
+            usage,
+            quota,
+            lastError: lastError ? lastError.message : null
+        };
+    }
+};
@@ -0,0 +1,167 @@
+/**
+ * rateLimiter — token bucket for Discogs calls, shared by every open tab.
+ *
+ * - The bucket lives in localStorage and is only touched under a Web Lock
+ *   (navigator.locks), so two tabs can't both spend the same token.
+ * - Its pace follows Discogs' own X-Discogs-Ratelimit headers: the refill rate
+ *   tracks the advertised per-minute limit, slows down when the remaining
+ *   budget runs low, and a 429 pauses every tab for the Retry-After period.
+ * - State changes are announced on a BroadcastChannel so waiting tabs re-check
+ *   right away instead of sleeping through a pause or a freed-up budget.
+ * - Inside a tab, waiters are served by priority: 'high' (what the user is
+ *   looking at or just clicked) before 'normal' before 'low' (background prefetch).
+ */
+
+const STORAGE_KEY = 'discogs_ratelimit';
+const LOCK_NAME = 'discogs_ratelimit';
+const CHANNEL_NAME = 'discogs_ratelimit';
+
+const DEFAULT_LIMIT = 60;       // Requests per minute for authenticated Discogs clients
+const BURST = 4;                // Bucket capacity: small, so tabs can't fire volleys
+const LOW_BUDGET_RATIO = 0.2;   // Below this share of the window left, halve the pace
+const DEFAULT_PAUSE_MS = 15000; // 429 without Retry-After
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const waiters = []; // { priority, seq, resolve }
+let seq = 0;
+let timer = null;
+let dispatching = false;
+let memoryState = null; // Fallback when localStorage is unavailable
+
+function _defaultState() {
+    return { tokens: BURST, updatedAt: Date.now(), limit: DEFAULT_LIMIT, pace: 0.9, pauseUntil: 0 };
+}
+
+function _readState() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) return JSON.parse(stored);
+    } catch (e) {
+        return memoryState || _defaultState();
+    }
+    return _defaultState();
+}
+
+function _writeState(state) {
+    memoryState = state;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (e) {}
+}
+
+function _refillPerMs(state) {
+    return (state.limit / 60000) * state.pace;
+}
+
+function _refill(state) {
+    const now = Date.now();
+    state.tokens = Math.min(BURST, state.tokens + (now - state.updatedAt) * _refillPerMs(state));
+    state.updatedAt = now;
+    return state;
+}
+
+async function _withLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+        return navigator.locks.request(LOCK_NAME, fn);
+    }
+    return fn();
+}
+
+// Take one token from the shared bucket. Resolves to 0 on success, otherwise to
+// the number of milliseconds to wait before trying again.
+function _tryTake() {
+    return _withLock(() => {
+        const state = _refill(_readState());
+        const now = Date.now();
+        let wait = 0;
+
+        if (state.pauseUntil > now) {
+            wait = state.pauseUntil - now;
+        } else if (state.tokens >= 1) {
+            state.tokens -= 1;
+        } else {
+            wait = Math.ceil((1 - state.tokens) / _refillPerMs(state));
+        }
+
+        _writeState(state);
+        return wait;
+    });
+}
+
+function _schedule(delay) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+        timer = null;
+        _dispatch();
+    }, delay);
+}
+
+async function _dispatch() {
+    if (dispatching) return;
+    dispatching = true;
+    try {
+        while (waiters.length > 0) {
+            const wait = await _tryTake();
+            if (wait > 0) {
+                _schedule(wait);
+                return;
+            }
+            waiters.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+            waiters.shift().resolve();
+        }
+    } finally {
+        dispatching = false;
+    }
+}
+
+function _announce() {
+    if (channel) channel.postMessage({ type: 'state' });
+}
+
+if (channel) {
+    // Another tab changed the bucket (pause, new limit): re-check now
+    channel.onmessage = () => {
+        if (waiters.length > 0) _schedule(0);
+    };
+}
+
+export const rateLimiter = {
+    // Resolves once this call may go out
+    acquire(priority = 'normal') {
+        return new Promise(resolve => {
+            const level = PRIORITIES[priority] ?? PRIORITIES.normal;
+            waiters.push({ priority: level, seq: seq++, resolve });
+            _dispatch();
+        });
+    },
+
+    // Feed every Discogs response back in so the pace tracks the server's view
+    observe(response) {
+        const limit = parseInt(response.headers.get('X-Discogs-Ratelimit'), 10);
+        const remaining = parseInt(response.headers.get('X-Discogs-Ratelimit-Remaining'), 10);
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        const throttled = response.status === 429;
+
+        if (!throttled && isNaN(limit) && isNaN(remaining)) return;
+
+        _withLock(() => {
+            const state = _refill(_readState());
+
+            if (!isNaN(limit) && limit > 0) state.limit = limit;
+            if (!isNaN(remaining)) {
+                // Never believe we have more than the server says is left (keep one in reserve)
+                state.tokens = Math.min(state.tokens, Math.max(0, remaining - 1));
+                state.pace = remaining / state.limit < LOW_BUDGET_RATIO ? 0.5 : 0.9;
+            }
+            if (throttled) {
+                state.tokens = 0;
+                state.pauseUntil = Date.now() + (isNaN(retryAfter) ? DEFAULT_PAUSE_MS : retryAfter * 1000);
+            }
+
+            _writeState(state);
+        }).then(() => {
+            if (throttled) _announce();
+        });
+    }
+};
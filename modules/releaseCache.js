@@ -0,0 +1,101 @@
+/**
+ * releaseCache — persistent IndexedDB store of parsed Discogs release details.
+ *
+ * fetchReleaseDetails() looks here before spending a rate-limited API call, so
+ * repeat sessions and revisited releases are served locally. Master summaries
+ * (main release, versions) live here too, under "master_<id>" keys.
+ * Entries expire after TTL_MS and the store is trimmed to MAX_ENTRIES, oldest first.
+ * Every failure degrades to a cache miss: IndexedDB is an optimisation, never
+ * a requirement.
+ */
+import { idbUtils } from './idbUtils.js';
+
+const DB_NAME = 'release_cache';
+const DB_VERSION = 1;
+const STORE = 'releases';
+
+const TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days: Discogs pages rarely change faster
+const MAX_ENTRIES = 3000;
+
+// Bump whenever the shape of the parsed release object changes, so stale
+// entries without the new fields are re-fetched instead of served.
+const SCHEMA_VERSION = 9;
+
+let dbPromise = null;
+let writesSincePrune = 0;
+
+function _openDb() {
+    if (!dbPromise) {
+        dbPromise = idbUtils.open(DB_NAME, DB_VERSION, req => {
+            const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('storedAt', 'storedAt');
+        });
+    }
+    return dbPromise;
+}
+
+async function _prune(db) {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const count = await idbUtils.request(store.count());
+    let excess = (count || 0) - MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    // Walk the storedAt index from the oldest entry and drop the overflow
+    const cursorReq = store.index('storedAt').openCursor();
+    cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+    };
+}
+
+export const releaseCache = {
+    async get(releaseId) {
+        const db = await _openDb();
+        if (!db) return null;
+
+        try {
+            const entry = await idbUtils.request(db.transaction(STORE, 'readonly').objectStore(STORE).get(String(releaseId)));
+            if (!entry) return null;
+
+            if (entry.schema !== SCHEMA_VERSION || Date.now() - entry.storedAt > TTL_MS) {
+                this.delete(releaseId);
+                return null;
+            }
+            return entry.details;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    async put(releaseId, details) {
+        const db = await _openDb();
+        if (!db) return;
+
+        try {
+            db.transaction(STORE, 'readwrite').objectStore(STORE).put({
+                id: String(releaseId),
+                schema: SCHEMA_VERSION,
+                storedAt: Date.now(),
+                details
+            });
+
+            // Counting the store on every write is wasteful; trim in batches
+            if (++writesSincePrune >= 50) {
+                writesSincePrune = 0;
+                await _prune(db);
+            }
+        } catch (e) { /* ignore quota/storage errors */ }
+    },
+
+    async delete(releaseId) {
+        const db = await _openDb();
+        if (!db) return;
+        try {
+            db.transaction(STORE, 'readwrite').objectStore(STORE).delete(String(releaseId));
+        } catch (e) { /* ignore */ }
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * textUtils — the string handling shared by every title matcher: Discogs
+ * track ↔ video matching, the YouTube search fallback, discogsMatcher and the
+ * channel keyword filter all compare titles the same way.
+ */
+
+export const textUtils = {
+    // Lowercase, accents dropped: "Café Tacvba" → "cafe tacvba"
+    fold(str) {
+        return String(str || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    // Folded words, punctuation dropped: "Sun Ra - Lanquidity (1978)" → ["sun", "ra", "lanquidity", "1978"].
+    // Letters of every script count (with the marks NFD splits off kana, Devanagari…),
+    // so Cyrillic, Greek or Japanese titles keep their words.
+    words(str) {
+        return textUtils.fold(str)
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+    },
+
+    // Discogs durations, "3:45" or "1:02:10" → seconds; null when there is none
+    parseDuration(str) {
+        const value = String(str || '').trim();
+        if (!/^\d+(:\d{1,2})+$/.test(value)) return null;
+        return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+};
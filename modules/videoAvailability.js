@@ -0,0 +1,92 @@
+/**
+ * videoAvailability — which YouTube IDs can actually play in our embed.
+ *
+ * Discogs video links are often dead, private or not embeddable. check() asks videos.list about up to 50 IDs per call
+ * (1 quota unit) and remembers the verdict in persistentStore for TTL_MS, so
+ * dataBuffer can drop bad IDs before a card is ever built.
+ * IDs that were never checked (quota short, network error) count as playable:
+ * the player's onError fallthrough is the safety net for those. It also
+ * catches region locks: YouTube's regionRestriction lists are not judged here,
+ * since nothing in the browser says which country the viewer is actually in.
+ */
+import { youtubeQuota } from './youtubeQuota.js';
+import { persistentStore } from './persistentStore.js';
+
+const STORAGE_KEY = 'video_status';
+const TTL_MS = 7 * 24 * 60 * 60 * 1000; // Uploads get taken down; re-check weekly
+const MAX_ENTRIES = 5000;
+const BATCH_SIZE = 50; // videos.list limit per call
+
+const statuses = {}; // videoId -> { ok, checkedAt }
+
+// Verdicts reached before the stored ones are loaded win over them
+const statusesReady = persistentStore.get(STORAGE_KEY).then(stored => {
+    Object.entries(stored || {}).forEach(([id, entry]) => {
+        if (!statuses[id]) statuses[id] = entry;
+    });
+});
+
+function _save() {
+    statusesReady.then(() => {
+        const ids = Object.keys(statuses);
+        if (ids.length > MAX_ENTRIES) {
+            ids.sort((a, b) => statuses[a].checkedAt - statuses[b].checkedAt)
+                .slice(0, ids.length - MAX_ENTRIES)
+                .forEach(id => delete statuses[id]);
+        }
+        persistentStore.set(STORAGE_KEY, statuses);
+    });
+}
+
+function _isFresh(id) {
+    const entry = statuses[id];
+    return !!entry && Date.now() - entry.checkedAt < TTL_MS;
+}
+
+// `item` is the videos.list entry, or undefined when YouTube didn't return the ID at all
+function _isPlayable(item) {
+    if (!item) return false; // Deleted, or private to everyone
+    const status = item.status || {};
+    if (status.embeddable === false || status.privacyStatus === 'private') return false;
+    return !['deleted', 'failed', 'rejected'].includes(status.uploadStatus);
+}
+
+export const videoAvailability = {
+    // Look up every ID without a fresh verdict, in as few calls as possible
+    async check(videoIds) {
+        await statusesReady;
+        const unknown = [...new Set(videoIds)].filter(id => id && !_isFresh(id));
+        if (unknown.length === 0) return;
+
+        for (let i = 0; i < unknown.length; i += BATCH_SIZE) {
+            const batch = unknown.slice(i, i + BATCH_SIZE);
+            try {
+                const response = await youtubeQuota.fetch('videos', new URLSearchParams({
+                    part: 'status',
+                    id: batch.join(',')
+                }), 'api');
+                if (!response.ok) break;
+
+                const data = await response.json();
+                const found = new Map((data.items || []).map(item => [item.id, item]));
+                const now = Date.now();
+                batch.forEach(id => { statuses[id] = { ok: _isPlayable(found.get(id)), checkedAt: now }; });
+            } catch (err) {
+                // QUOTA_LOW or network: leave the rest unchecked
+                break;
+            }
+        }
+        _save();
+    },
+
+    isPlayable(videoId) {
+        const entry = statuses[videoId];
+        return !entry || entry.ok;
+    },
+
+    // The player hit an error on this ID: don't offer it again
+    markDead(videoId) {
+        statuses[videoId] = { ok: false, checkedAt: Date.now() };
+        _save();
+    }
+};
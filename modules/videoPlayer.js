@@ -1,5 +1,8 @@
 export const videoPlayer = {
-    async createPlayer(cardElement, videoId, playlistId = null, onEnded = null) {
+    // `handlers.onVideoChange(videoId)` fires when a video of the list starts playing,
+    // `handlers.onError(videoId, code)` when one can't be played, with YouTube's error code
+    async createPlayer(cardElement, videoId, playlistId = null, onEnded = null, handlers = {}) {
+        const { onVideoChange = null, onError = null } = handlers;
         if (!videoId && !playlistId) return null;
 
         // Wait for the YouTube IFrame API to finish loading before proceeding.
@@ -57,6 +60,7 @@ export const videoPlayer = {
 
         return new Promise((resolve) => {
             let player;
+            let currentVideoId = null;
             // Safety net: if onReady never fires (e.g. network stall), unblock after 8s
             const timeoutId = setTimeout(() => {
                 console.warn(`YT onReady timeout for ${primaryVideoId || playlistId}`);
@@ -71,7 +75,24 @@ export const videoPlayer = {
                         clearTimeout(timeoutId);
                         resolve(event.target);
                     },
+                    onError: (event) => {
+                        // 2: bad ID, 5: HTML5 player error, 100: removed/private, 101/150: embedding disabled
+                        if (!onError || ![2, 5, 100, 101, 150].includes(event.data)) return;
+                        const playlist = typeof player.getPlaylist === 'function' ? player.getPlaylist() : null;
+                        const failedId = (playlist && playlist[player.getPlaylistIndex()])
+                            || (typeof player.getVideoData === 'function' && player.getVideoData().video_id)
+                            || primaryVideoId;
+                        onError(failedId, event.data);
+                    },
                     onStateChange: (event) => {
+                        // Report track changes inside a video list (now-playing line)
+                        if (event.data === window.YT.PlayerState.PLAYING && onVideoChange && typeof player.getVideoData === 'function') {
+                            const playingId = player.getVideoData().video_id;
+                            if (playingId && playingId !== currentVideoId) {
+                                currentVideoId = playingId;
+                                onVideoChange(playingId);
+                            }
+                        }
                         if (event.data === window.YT.PlayerState.ENDED) {
                             // For playlists: only trigger end when the last video finishes
                             let isPlaylistFinished = true;
@@ -133,6 +154,24 @@ export const videoPlayer = {
         }
     },
 
+    // Switch an existing player to another video (e.g. a track picked in the details sheet).
+    // Stays inside the loaded video list when possible; otherwise reloads `order` from that
+    // video on, so playback keeps following the album.
+    loadVideo(playerInstance, videoId, order = null) {
+        if (!playerInstance || typeof playerInstance.loadVideoById !== 'function') return false;
+
+        const playlist = typeof playerInstance.getPlaylist === 'function' ? playerInstance.getPlaylist() : null;
+        const at = playlist ? playlist.indexOf(videoId) : -1;
+        if (at >= 0) {
+            playerInstance.playVideoAt(at);
+        } else if (order && order.includes(videoId)) {
+            playerInstance.loadPlaylist(order, order.indexOf(videoId));
+        } else {
+            playerInstance.loadVideoById(videoId);
+        }
+        return true;
+    },
+
     destroyPlayer(playerInstance) {
         if (!playerInstance) return;
         if (typeof playerInstance.destroy === 'function') {
@@ -0,0 +1,114 @@
+/**
+ * youtubeQuota — ledger of YouTube Data API units spent today.
+ *
+ * Every Data API call goes through youtubeQuota.fetch(), which charges the
+ * endpoint's unit cost to a daily total persisted in localStorage. The day
+ * follows Google's quota reset: midnight Pacific time.
+ *
+ * The ledger only sees this browser's calls, while the real quota belongs to
+ * the server key; a 403 quotaExceeded therefore marks the whole day as spent.
+ *
+ * As the budget shrinks, callers degrade in order:
+ *   'sync'   — background channel archiving, first to stop
+ *   'search' — 100-unit searches
+ *   'api'    — anything else (single pages, lookups); below this, RSS only
+ */
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'yt_quota';
+
+// Units per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+const COSTS = {
+    search: 100,
+    playlistItems: 1,
+    playlists: 1,
+    videos: 1,
+    channels: 1
+};
+
+// Share of the daily budget each tier leaves untouched for the ones after it
+const RESERVES = {
+    sync: 0.4,
+    search: 0.15,
+    api: 0
+};
+
+const pacificDay = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Los_Angeles', year: 'numeric', month: '2-digit', day: '2-digit'
+});
+const pacificClock = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'America/Los_Angeles', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+function _today() {
+    return pacificDay.format(new Date());
+}
+
+function _load() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && stored.day === _today()) return stored;
+    } catch (e) {}
+    return { day: _today(), used: 0 };
+}
+
+function _save(ledger) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(ledger)); } catch (e) {}
+    document.dispatchEvent(new CustomEvent('quotaChanged', { detail: youtubeQuota.getStatus() }));
+}
+
+// Next midnight in Los Angeles, as a local Date
+function _nextReset() {
+    const [h, m, s] = pacificClock.format(new Date()).split(':').map(Number);
+    const msIntoDay = ((h * 60 + m) * 60 + s) * 1000;
+    return new Date(Date.now() + 24 * 60 * 60 * 1000 - msIntoDay);
+}
+
+async function _isQuotaError(response) {
+    if (response.status !== 403) return false;
+    try {
+        const body = await response.clone().json();
+        const reasons = ((body.error && body.error.errors) || []).map(e => e.reason);
+        return reasons.includes('quotaExceeded') || reasons.includes('dailyLimitExceeded');
+    } catch (e) {
+        return false;
+    }
+}
+
+export const youtubeQuota = {
+    // Can a call of this tier still go out without eating into later tiers' reserve?
+    allows(tier, endpoint = 'playlistItems') {
+        const { remaining, limit } = this.getStatus();
+        const cost = COSTS[endpoint] ?? 1;
+        return remaining - cost >= limit * (RESERVES[tier] ?? 0);
+    },
+
+    // fetch() for `${YOUTUBE_BASE_URL}/${endpoint}`; throws QUOTA_LOW instead of calling
+    // when the tier is out of budget
+    async fetch(endpoint, params, tier = 'api') {
+        if (!this.allows(tier, endpoint)) {
+            const error = new Error(`YouTube quota too low for ${tier}`);
+            error.code = 'QUOTA_LOW';
+            throw error;
+        }
+
+        const response = await fetch(`${CONFIG.YOUTUBE_BASE_URL}/${endpoint}?${params.toString()}`);
+
+        const ledger = _load();
+        if (await _isQuotaError(response)) {
+            ledger.used = CONFIG.YOUTUBE_DAILY_QUOTA;
+        } else {
+            // Failed calls are charged too: Google bills the request, not the result
+            ledger.used += COSTS[endpoint] ?? 1;
+        }
+        _save(ledger);
+
+        return response;
+    },
+
+    getStatus() {
+        const limit = CONFIG.YOUTUBE_DAILY_QUOTA;
+        const used = Math.min(_load().used, limit);
+        return { used, limit, remaining: limit - used, resetsAt: _nextReset() };
+    }
+};
@@ -1,52 +1,130 @@
-import { CONFIG } from '../config.js';
-
-export const youtubeService = {
-    async searchVideo(artist, albumTitle, existingVideoIds = []) {
-        // 1. If we already have a video ID from Discogs, just use a random one
-        if (existingVideoIds && existingVideoIds.length > 0) {
-            return existingVideoIds[Math.floor(Math.random() * existingVideoIds.length)];
+import { youtubeQuota } from './youtubeQuota.js';
+import { textUtils } from './textUtils.js';
+
+// ─── Search fallback scoring ──────────────────────────────────────────────────
+// Albums without Discogs videos get a YouTube search; each result is scored on
+// how well it names the release, its duration and who uploaded it.
+
+const MATCH_MIN_SCORE = 0.7;
+
+// Words that mark a different recording, unless the release title has them too
+const NOISE_WORDS = ['live', 'cover', 'remix', 'reaction', 'karaoke', 'tutorial', 'lesson', 'review', 'unboxing', 'instrumental'];
+
+// Share of `needle`'s words present in `haystack` (a Set of words)
+function _coverage(needle, haystack) {
+    const words = textUtils.words(needle);
+    if (words.length === 0) return 0;
+    return words.filter(w => haystack.has(w)).length / words.length;
+}
+
+// Search snippets come HTML-escaped
+function _decodeEntities(str) {
+    return String(str || '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// "PT1H2M3S" → 3723
+function _isoSeconds(iso) {
+    const m = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(iso || '');
+    if (!m) return null;
+    return (Number(m[1] || 0) * 60 + Number(m[2] || 0)) * 60 + Number(m[3] || 0);
+}
+
+function _scoreCandidate(candidate, album) {
+    const titleWords = new Set(textUtils.words(candidate.title));
+    const channelWords = new Set(textUtils.words(candidate.channelTitle));
+    const allWords = new Set([...titleWords, ...channelWords]);
+    const tracks = (album.tracks || []).filter(t => !t.heading);
+
+    // The artist may be in the title or be the channel itself ("Artist - Topic")
+    let score = 0.35 * _coverage(album.artist, allWords);
+
+    // Either the album as a whole or one of its tracks
+    const albumCoverage = _coverage(album.title, titleWords);
+    const bestTrack = tracks.reduce((best, t) => {
+        const coverage = _coverage(t.title, titleWords);
+        return coverage > best.coverage ? { track: t, coverage } : best;
+    }, { track: null, coverage: 0 });
+    const isTrack = bestTrack.coverage === 1 && bestTrack.coverage > albumCoverage;
+    score += 0.45 * Math.max(albumCoverage, bestTrack.coverage);
+
+    // YouTube's auto-generated "Artist - Topic" channels carry the official audio
+    if (/ - Topic$/.test(candidate.channelTitle || '')) score += 0.15;
+
+    const releaseWords = new Set(textUtils.words(album.title));
+    const noise = NOISE_WORDS.filter(w => titleWords.has(w) && !releaseWords.has(w));
+    score -= Math.min(0.5, noise.length * 0.25);
+
+    // Duration: a full-album upload should run about as long as the tracklist, a track upload as its track
+    if (candidate.seconds) {
+        const expected = isTrack
+            ? textUtils.parseDuration(bestTrack.track.duration)
+            : tracks.reduce((sum, t) => sum + (textUtils.parseDuration(t.duration) || 0), 0) || null;
+        if (expected) {
+            const ratio = candidate.seconds / expected;
+            if (ratio >= 0.85 && ratio <= 1.15) score += 0.2;
+            else if (ratio < 0.5 || ratio > 2) score -= 0.2;
         }
+        if (candidate.seconds < 60) score -= 0.3; // Shorts, teasers
+    }
 
-        // 2. Build query string
-        const query = `${artist} ${albumTitle} full album`;
+    return score;
+}
 
-        // 3. Setup GET params
+export const youtubeService = {
+    // Best YouTube match for a release that has no linked videos: { videoId, score },
+    // or null when nothing scores high enough to trust. Costs 100 units (search)
+    // plus 1 for the durations when the budget allows.
+    async searchVideo(album) {
         const params = new URLSearchParams({
             part: 'snippet',
-            q: query,
+            q: `${album.artist} ${album.title}`,
             type: 'video',
-            maxResults: 5,
-            key: CONFIG.YOUTUBE_API_KEY
+            maxResults: 10
         });
 
-        const searchUrl = `${CONFIG.YOUTUBE_BASE_URL}/search?${params.toString()}`;
-
         try {
-            let response = await fetch(searchUrl);
-
+            const response = await youtubeQuota.fetch('search', params, 'search');
             if (!response.ok) {
                 throw new Error(`YouTube API Error: ${response.status}`);
             }
 
-            let data = await response.json();
-
-            // 4. Return first result
-            if (data.items && data.items.length > 0) {
-                return data.items[0].id.videoId;
-            }
-
-            // Fallback: try more generic query
-            const genericQuery = `${artist} ${albumTitle}`;
-            params.set('q', genericQuery);
-
-            response = await fetch(`${CONFIG.YOUTUBE_BASE_URL}/search?${params.toString()}`);
-            data = await response.json();
-
-            if (data.items && data.items.length > 0) {
-                return data.items[0].id.videoId;
+            const data = await response.json();
+            const candidates = (data.items || [])
+                .filter(item => item.id && item.id.videoId)
+                .map(item => ({
+                    videoId: item.id.videoId,
+                    title: _decodeEntities(item.snippet.title),
+                    channelTitle: _decodeEntities(item.snippet.channelTitle),
+                    seconds: null
+                }));
+            if (candidates.length === 0) return null;
+
+            // Durations are a refinement: skip them rather than dig into the API reserve
+            if (youtubeQuota.allows('search', 'videos')) {
+                try {
+                    const details = await youtubeQuota.fetch('videos', new URLSearchParams({
+                        part: 'contentDetails',
+                        id: candidates.map(c => c.videoId).join(',')
+                    }), 'search');
+                    if (details.ok) {
+                        const durations = new Map(((await details.json()).items || [])
+                            .map(v => [v.id, _isoSeconds(v.contentDetails && v.contentDetails.duration)]));
+                        candidates.forEach(c => { c.seconds = durations.get(c.videoId) || null; });
+                    }
+                } catch (e) {
+                    // Score on titles alone
+                }
             }
 
-            throw new Error("No YouTube video found");
+            const best = candidates
+                .map(c => ({ videoId: c.videoId, score: _scoreCandidate(c, album) }))
+                .reduce((a, b) => b.score > a.score ? b : a);
+            return best.score >= MATCH_MIN_SCORE ? best : null;
 
         } catch (error) {
             console.error("YouTube search error:", error);
@@ -60,14 +138,11 @@ export const youtubeService = {
             part: 'snippet',
             q: query,
             type: 'playlist',
-            maxResults: 1,
-            key: CONFIG.YOUTUBE_API_KEY
+            maxResults: 1
         });
 
-        const searchUrl = `${CONFIG.YOUTUBE_BASE_URL}/search?${params.toString()}`;
-
         try {
-            const response = await fetch(searchUrl);
+            const response = await youtubeQuota.fetch('search', params, 'search');
             if (!response.ok) {
                 throw new Error(`YouTube API Error: ${response.status}`);
             }
@@ -0,0 +1,76 @@
+/**
+ * Discogs OAuth login: /api/auth/discogs/<action>
+ *
+ *   login     → get a request token, remember its secret, send the user to Discogs
+ *   callback  → swap the verifier for an access token, open the session cookie
+ *   me        → { username } of the logged-in user, 401 otherwise
+ *   logout    → drop the session cookie
+ */
+import { jsonError } from '../lib/proxy.mjs';
+import { seal, unseal, readCookie, cookieHeader, readSession, SESSION_COOKIE } from '../lib/session.mjs';
+import { hasConsumer, requestToken, accessToken, identity, AUTHORIZE_URL } from '../lib/discogsOAuth.mjs';
+
+const LOGIN_COOKIE = 'dg_oauth';
+const LOGIN_MAX_AGE = 10 * 60;
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+function redirect(location, cookies = []) {
+    const headers = new Headers({ Location: location, 'Cache-Control': 'no-store' });
+    cookies.forEach(c => headers.append('Set-Cookie', c));
+    return new Response(null, { status: 302, headers });
+}
+
+async function login(req) {
+    const { origin } = new URL(req.url);
+    const { token, tokenSecret } = await requestToken(`${origin}/api/auth/discogs/callback`);
+    return redirect(`${AUTHORIZE_URL}?oauth_token=${encodeURIComponent(token)}`, [
+        cookieHeader(LOGIN_COOKIE, seal({ token, tokenSecret }), LOGIN_MAX_AGE)
+    ]);
+}
+
+async function callback(req) {
+    const params = new URL(req.url).searchParams;
+    const pending = unseal(readCookie(req, LOGIN_COOKIE));
+    const token = params.get('oauth_token');
+
+    // Denied on Discogs, expired login cookie, or a callback for someone else's login
+    if (!pending || !token || pending.token !== token || !params.get('oauth_verifier')) {
+        return redirect('/?login=failed', [cookieHeader(LOGIN_COOKIE, '', 0)]);
+    }
+
+    const access = await accessToken(token, pending.tokenSecret, params.get('oauth_verifier'));
+    const user = await identity(access.token, access.tokenSecret);
+
+    return redirect('/', [
+        cookieHeader(LOGIN_COOKIE, '', 0),
+        cookieHeader(SESSION_COOKIE, seal({ username: user.username, token: access.token, tokenSecret: access.tokenSecret }), SESSION_MAX_AGE)
+    ]);
+}
+
+export default async (req) => {
+    const action = new URL(req.url).pathname.split('/').filter(Boolean).pop();
+
+    try {
+        switch (action) {
+            case 'login':
+                if (!hasConsumer()) return jsonError(500, 'DISCOGS_CONSUMER_KEY/SECRET are not configured');
+                return await login(req);
+            case 'callback':
+                return await callback(req);
+            case 'me': {
+                const session = readSession(req);
+                if (!session) return jsonError(401, 'Not logged in');
+                return new Response(JSON.stringify({ username: session.username }), {
+                    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+                });
+            }
+            case 'logout':
+                return redirect('/', [cookieHeader(SESSION_COOKIE, '', 0)]);
+            default:
+                return jsonError(404, `Unknown auth action: ${action}`);
+        }
+    } catch (err) {
+        console.error('Discogs auth error:', err);
+        return action === 'callback' ? redirect('/?login=failed') : jsonError(502, err.message);
+    }
+};
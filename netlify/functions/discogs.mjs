@@ -0,0 +1,96 @@
+/**
+ * Discogs API proxy: /api/discogs/<endpoint> → https://api.discogs.com/<endpoint>
+ * signed server-side: with the user's OAuth access token when they logged in
+ * (see discogs-auth.mjs), with the shared personal token otherwise. Collections
+ * and wantlists are never signed with the shared token.
+ */
+import { clientIdOf, takeToken, upstreamPath, isAllowed, jsonError, forward } from '../lib/proxy.mjs';
+import { readSession } from '../lib/session.mjs';
+import { oauthHeader } from '../lib/discogsOAuth.mjs';
+
+const UPSTREAM = process.env.DISCOGS_UPSTREAM || 'https://api.discogs.com';
+
+// Only the endpoints discogsService calls
+const ALLOWED_ENDPOINTS = [
+    /^\/database\/search$/,
+    /^\/releases\/\d+$/,
+    /^\/masters\/\d+$/,
+    /^\/masters\/\d+\/versions$/,
+    /^\/marketplace\/stats\/\d+$/,
+    /^\/labels\/\d+\/releases$/,
+    /^\/artists\/\d+\/releases$/
+];
+
+// Anyone's collection or wantlist: signed as the logged-in user, or not at all. Never
+// with the shared token, which would expose its owner's private lists to any visitor;
+// unsigned, Discogs only answers for lists their owners made public.
+const LIBRARY_ENDPOINTS = [
+    /^\/users\/[^/]+\/collection\/folders$/,
+    /^\/users\/[^/]+\/collection\/folders\/\d+\/releases$/,
+    /^\/users\/[^/]+\/wants$/
+];
+
+// Discogs reports its own quota in these; the front-end may want to pace itself on them
+const PASS_HEADERS = [
+    'x-discogs-ratelimit',
+    'x-discogs-ratelimit-used',
+    'x-discogs-ratelimit-remaining',
+    'retry-after'
+];
+
+// Account actions: need a session, and only ever on the session's own username
+const USER_ENDPOINTS = [
+    { method: 'GET', path: /^\/users\/([^/]+)\/collection\/releases\/\d+$/ },
+    { method: 'GET', path: /^\/users\/([^/]+)\/wants\/\d+$/ },
+    { method: 'PUT', path: /^\/users\/([^/]+)\/wants\/\d+$/ },
+    { method: 'POST', path: /^\/users\/([^/]+)\/collection\/folders\/1\/releases\/\d+$/ }
+];
+
+function matchUserEndpoint(method, path) {
+    for (const endpoint of USER_ENDPOINTS) {
+        const m = endpoint.method === method && path.match(endpoint.path);
+        if (m) return decodeURIComponent(m[1]);
+    }
+    return null;
+}
+
+const RATE_LIMIT = { capacity: 10, refillPerSec: 1.5 };
+
+export default async (req, context) => {
+    const path = upstreamPath(req, 'discogs');
+    const session = readSession(req);
+
+    const publicCall = req.method === 'GET' && isAllowed(path, ALLOWED_ENDPOINTS);
+    const libraryCall = req.method === 'GET' && isAllowed(path, LIBRARY_ENDPOINTS);
+    const pathUser = publicCall || libraryCall ? null : matchUserEndpoint(req.method, path);
+    if (!publicCall && !libraryCall && !pathUser) return jsonError(404, `Endpoint not allowed: ${req.method} ${path}`);
+    if (pathUser) {
+        if (!session) return jsonError(401, 'Login required');
+        if (pathUser.toLowerCase() !== session.username.toLowerCase()) return jsonError(403, 'Not your account');
+    }
+
+    const limit = takeToken(`discogs:${clientIdOf(req, context)}`, RATE_LIMIT);
+    if (!limit.ok) return jsonError(429, 'Too many requests', { 'Retry-After': String(limit.retryAfter) });
+
+    let authorization = null;
+    if (session) {
+        authorization = oauthHeader({ token: session.token, tokenSecret: session.tokenSecret });
+    } else if (!libraryCall) {
+        if (!process.env.DISCOGS_TOKEN) return jsonError(500, 'DISCOGS_TOKEN is not configured');
+        authorization = `Discogs token=${process.env.DISCOGS_TOKEN}`;
+    }
+
+    const { search } = new URL(req.url);
+    try {
+        const upstream = await fetch(`${UPSTREAM}${path}${search}`, {
+            method: req.method,
+            headers: {
+                ...(authorization ? { 'Authorization': authorization } : {}),
+                'User-Agent': 'AntiGravityApp/1.0'
+            }
+        });
+        return forward(upstream, PASS_HEADERS);
+    } catch (err) {
+        return jsonError(502, `Discogs upstream unreachable: ${err.message}`);
+    }
+};
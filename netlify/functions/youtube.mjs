@@ -0,0 +1,41 @@
+/**
+ * YouTube Data API proxy: /api/youtube/<endpoint> → https://www.googleapis.com/youtube/v3/<endpoint>
+ * with the API key added server-side.
+ */
+import { clientIdOf, takeToken, upstreamPath, isAllowed, jsonError, forward } from '../lib/proxy.mjs';
+
+const UPSTREAM = process.env.YOUTUBE_UPSTREAM || 'https://www.googleapis.com/youtube/v3';
+
+// Only the endpoints channelService and youtubeService call
+const ALLOWED_ENDPOINTS = [
+    /^\/channels$/,
+    /^\/playlistItems$/,
+    /^\/playlists$/,
+    /^\/search$/,
+    /^\/videos$/
+];
+
+const RATE_LIMIT = { capacity: 20, refillPerSec: 2 };
+
+export default async (req, context) => {
+    if (req.method !== 'GET') return jsonError(405, 'Method not allowed');
+
+    const path = upstreamPath(req, 'youtube');
+    if (!isAllowed(path, ALLOWED_ENDPOINTS)) return jsonError(404, `Endpoint not allowed: ${path}`);
+
+    const limit = takeToken(`youtube:${clientIdOf(req, context)}`, RATE_LIMIT);
+    if (!limit.ok) return jsonError(429, 'Too many requests', { 'Retry-After': String(limit.retryAfter) });
+
+    if (!process.env.YOUTUBE_API_KEY) return jsonError(500, 'YOUTUBE_API_KEY is not configured');
+
+    // Never let the client pick the key
+    const params = new URL(req.url).searchParams;
+    params.set('key', process.env.YOUTUBE_API_KEY);
+
+    try {
+        const upstream = await fetch(`${UPSTREAM}${path}?${params.toString()}`);
+        return forward(upstream);
+    } catch (err) {
+        return jsonError(502, `YouTube upstream unreachable: ${err.message}`);
+    }
+};
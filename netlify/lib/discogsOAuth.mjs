@@ -0,0 +1,61 @@
+/**
+ * Discogs OAuth 1.0a with the PLAINTEXT signature method (accepted by Discogs
+ * over HTTPS), using the app's consumer key/secret from the environment.
+ */
+import crypto from 'node:crypto';
+
+export const OAUTH_UPSTREAM = process.env.DISCOGS_UPSTREAM || 'https://api.discogs.com';
+export const AUTHORIZE_URL = process.env.DISCOGS_AUTHORIZE_URL || 'https://www.discogs.com/oauth/authorize';
+
+export function hasConsumer() {
+    return !!(process.env.DISCOGS_CONSUMER_KEY && process.env.DISCOGS_CONSUMER_SECRET);
+}
+
+// Authorization header value; `token`/`tokenSecret` are the request or access token
+export function oauthHeader({ token = null, tokenSecret = '', callback = null, verifier = null } = {}) {
+    const params = {
+        oauth_consumer_key: process.env.DISCOGS_CONSUMER_KEY,
+        oauth_nonce: crypto.randomBytes(16).toString('hex'),
+        oauth_signature: `${process.env.DISCOGS_CONSUMER_SECRET}&${tokenSecret}`,
+        oauth_signature_method: 'PLAINTEXT',
+        oauth_timestamp: String(Math.floor(Date.now() / 1000))
+    };
+    if (token) params.oauth_token = token;
+    if (callback) params.oauth_callback = callback;
+    if (verifier) params.oauth_verifier = verifier;
+
+    return 'OAuth ' + Object.entries(params)
+        .map(([k, v]) => `${k}="${encodeURIComponent(v)}"`)
+        .join(', ');
+}
+
+async function _tokenRequest(path, method, authorization) {
+    const res = await fetch(`${OAUTH_UPSTREAM}${path}`, {
+        method,
+        headers: {
+            'Authorization': authorization,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': 'AntiGravityApp/1.0'
+        }
+    });
+    if (!res.ok) throw new Error(`Discogs OAuth ${path} failed: ${res.status}`);
+    return new URLSearchParams(await res.text());
+}
+
+export async function requestToken(callback) {
+    const body = await _tokenRequest('/oauth/request_token', 'GET', oauthHeader({ callback }));
+    return { token: body.get('oauth_token'), tokenSecret: body.get('oauth_token_secret') };
+}
+
+export async function accessToken(token, tokenSecret, verifier) {
+    const body = await _tokenRequest('/oauth/access_token', 'POST', oauthHeader({ token, tokenSecret, verifier }));
+    return { token: body.get('oauth_token'), tokenSecret: body.get('oauth_token_secret') };
+}
+
+export async function identity(token, tokenSecret) {
+    const res = await fetch(`${OAUTH_UPSTREAM}/oauth/identity`, {
+        headers: { 'Authorization': oauthHeader({ token, tokenSecret }), 'User-Agent': 'AntiGravityApp/1.0' }
+    });
+    if (!res.ok) throw new Error(`Discogs identity failed: ${res.status}`);
+    return res.json();
+}
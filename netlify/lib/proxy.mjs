@@ -0,0 +1,77 @@
+/**
+ * Shared plumbing for the API proxy functions.
+ *
+ * Credentials live only in the function environment (DISCOGS_TOKEN,
+ * YOUTUBE_API_KEY); the browser talks to relative /api/... paths and never
+ * sees them. Each function whitelists the upstream endpoints the front-end
+ * actually calls and rate-limits every client with a small token bucket.
+ */
+
+// clientId -> { tokens, updatedAt }. Lives as long as the function instance,
+// which is enough to stop a single runaway tab from draining the shared quota.
+const buckets = new Map();
+
+export function clientIdOf(req, context) {
+    return (context && context.ip)
+        || req.headers.get('x-nf-client-connection-ip')
+        || req.headers.get('x-forwarded-for')
+        || 'anonymous';
+}
+
+// Token bucket: `capacity` requests of burst, refilled at `refillPerSec`.
+// Returns { ok: true } or { ok: false, retryAfter } with retryAfter in seconds.
+export function takeToken(clientId, { capacity, refillPerSec }) {
+    const now = Date.now();
+    const bucket = buckets.get(clientId) || { tokens: capacity, updatedAt: now };
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSec);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) {
+        buckets.set(clientId, bucket);
+        return { ok: false, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerSec) };
+    }
+
+    bucket.tokens -= 1;
+    buckets.set(clientId, bucket);
+
+    // Keep memory bounded on long-lived instances
+    if (buckets.size > 5000) buckets.delete(buckets.keys().next().value);
+
+    return { ok: true };
+}
+
+// The same function is reachable as /api/<name>/... (netlify.toml rewrite) and
+// /.netlify/functions/<name>/...; strip whichever prefix the request carries.
+export function upstreamPath(req, name) {
+    const { pathname } = new URL(req.url);
+    const prefix = new RegExp(`^/(?:api|\\.netlify/functions)/${name}`);
+    const path = pathname.replace(prefix, '');
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+export function isAllowed(path, whitelist) {
+    return whitelist.some(re => re.test(path));
+}
+
+export function jsonError(status, message, extraHeaders = {}) {
+    return new Response(JSON.stringify({ message }), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...extraHeaders }
+    });
+}
+
+// Relay the upstream body and status, keeping only the headers the front-end needs
+export async function forward(upstream, passHeaders = []) {
+    const headers = {
+        'Content-Type': upstream.headers.get('content-type') || 'application/json',
+        'Cache-Control': 'no-store'
+    };
+    passHeaders.forEach(name => {
+        const value = upstream.headers.get(name);
+        if (value !== null) headers[name] = value;
+    });
+
+    return new Response(await upstream.text(), { status: upstream.status, headers });
+}
@@ -0,0 +1,56 @@
+/**
+ * Encrypted cookie sessions for the proxy functions.
+ *
+ * Functions are stateless, so whatever must survive between requests (the OAuth
+ * request-token secret during login, the user's access token afterwards) is
+ * sealed with AES-256-GCM under SESSION_SECRET and kept in an HttpOnly cookie.
+ * The browser can hold it but never read or forge it.
+ */
+import crypto from 'node:crypto';
+
+function _key() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) throw new Error('SESSION_SECRET is not configured');
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+export function seal(payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', _key(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+}
+
+// Returns the payload, or null for a missing, tampered or undecryptable value
+export function unseal(value) {
+    if (!value) return null;
+    try {
+        const raw = Buffer.from(value, 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', _key(), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        const data = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+export function readCookie(req, name) {
+    const header = req.headers.get('cookie') || '';
+    for (const part of header.split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) return rest.join('=');
+    }
+    return null;
+}
+
+export function cookieHeader(name, value, maxAgeSeconds) {
+    return `${name}=${value}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAgeSeconds}`;
+}
+
+export const SESSION_COOKIE = 'dg_session';
+
+// The logged-in user's { username, token, tokenSecret }, or null
+export function readSession(req) {
+    return unseal(readCookie(req, SESSION_COOKIE));
+}
@@ -0,0 +1,295 @@
+/**
+ * Local stand-in for the Discogs and YouTube APIs, for running the proxy
+ * functions under `netlify dev` without real credentials or quota.
+ *
+ *   node netlify/stub/server.mjs            # listens on :8787
+ *
+ * then point the functions at it (e.g. in .env):
+ *
+ *   DISCOGS_UPSTREAM=http://localhost:8787/discogs
+ *   YOUTUBE_UPSTREAM=http://localhost:8787/youtube/v3
+ *   DISCOGS_TOKEN=stub
+ *   YOUTUBE_API_KEY=stub
+ *
+ * For the OAuth login also set DISCOGS_AUTHORIZE_URL=http://localhost:8787/discogs/oauth/authorize:
+ * the stub "authorizes" immediately and bounces back to the callback as user `stubuser`.
+ *
+ * Responses are canned but shaped like the real payloads the front-end parses.
+ */
+import http from 'node:http';
+
+const PORT = Number(process.env.STUB_PORT) || 8787;
+
+// A handful of well-known, embeddable videos so the player has something to show
+const VIDEO_IDS = ['jNQXAC9IVRw', 'dQw4w9WgXcQ', 'kJQP7kiw5Fk', '9bZkp7q19f0', 'fJ9rUzIMcZQ'];
+
+const pick = arr => arr[Math.floor(Math.random() * arr.length)];
+
+function release(id) {
+    return {
+        id,
+        title: `Stub Album ${id}`,
+        year: 1970 + (id % 50),
+        uri: `https://www.discogs.com/release/${id}`,
+        num_for_sale: id % 4,
+        community: { have: (id * 7) % 900, want: (id * 3) % 300, rating: { average: 3.5 + (id % 3) / 2, count: id % 20 } },
+        artists: [{ id: 1000 + (id % 7), name: `Stub Artist ${id % 7}` }],
+        images: [{ uri: `https://picsum.photos/seed/${id}/600/600` }],
+        tracklist: [
+            { position: 'A1', title: 'Side A Opener', duration: '4:12' },
+            { position: 'A2', title: 'Side A Closer', duration: '5:03' },
+            { position: 'B1', title: 'Side B Opener', duration: '3:48' }
+        ],
+        videos: [
+            { uri: `https://www.youtube.com/watch?v=${pick(VIDEO_IDS)}`, title: 'Side A Opener', duration: 252 }
+        ]
+    };
+}
+
+// Callback URL of the last request_token call, for the fake authorize step
+let pendingCallback = null;
+
+// Text bodies (form-encoded token replies) or a redirect, for the OAuth endpoints
+function discogsOAuth(path, params, headers) {
+    if (path === '/oauth/request_token') {
+        const callback = (headers.authorization || '').match(/oauth_callback="([^"]+)"/);
+        pendingCallback = callback ? decodeURIComponent(callback[1]) : null;
+        return { text: 'oauth_token=stubrequest&oauth_token_secret=stubrequestsecret&oauth_callback_confirmed=true' };
+    }
+    if (path === '/oauth/authorize') {
+        return { redirect: `${pendingCallback}?oauth_token=${params.get('oauth_token')}&oauth_verifier=stubverifier` };
+    }
+    if (path === '/oauth/access_token') {
+        return { text: 'oauth_token=stubaccess&oauth_token_secret=stubaccesssecret' };
+    }
+    return null;
+}
+
+// In-memory account state for the stub user
+const wants = new Set();
+const collection = new Set();
+
+function discogsUser(method, path, params) {
+    if (path === '/oauth/identity') return { id: 1, username: 'stubuser' };
+
+    const wantMatch = path.match(/^\/users\/[^/]+\/wants\/(\d+)$/);
+    if (wantMatch && method === 'PUT') {
+        wants.add(wantMatch[1]);
+        return { id: Number(wantMatch[1]), rating: 0 };
+    }
+    if (wantMatch) return wants.has(wantMatch[1]) ? { id: Number(wantMatch[1]) } : null;
+
+    const addMatch = path.match(/^\/users\/[^/]+\/collection\/folders\/\d+\/releases\/(\d+)$/);
+    if (addMatch && method === 'POST') {
+        collection.add(addMatch[1]);
+        return { instance_id: Date.now(), resource_url: '' };
+    }
+
+    if (/^\/users\/[^/]+\/collection\/folders$/.test(path)) {
+        return { folders: [{ id: 0, name: 'All', count: 250 }, { id: 1, name: 'Uncategorized', count: 250 }] };
+    }
+
+    const folderMatch = path.match(/^\/users\/[^/]+\/collection\/folders\/\d+\/releases$/);
+    const wantsMatch = /^\/users\/[^/]+\/wants$/.test(path);
+    if (folderMatch || wantsMatch) {
+        const page = Number(params.get('page')) || 1;
+        const perPage = Number(params.get('per_page')) || 50;
+        const items = Array.from({ length: perPage }, (_, i) => {
+            const id = (wantsMatch ? 700000 : 600000) + (page - 1) * perPage + i;
+            return { id, basic_information: { title: `Stub Album ${id}`, artists: [{ name: `Stub Artist ${id % 7}` }] } };
+        });
+        return {
+            pagination: { page, pages: 3, per_page: perPage, items: perPage * 3 },
+            [wantsMatch ? 'wants' : 'releases']: items
+        };
+    }
+
+    const ownedMatch = path.match(/^\/users\/[^/]+\/collection\/releases\/(\d+)$/);
+    if (ownedMatch) {
+        const owned = collection.has(ownedMatch[1]);
+        return {
+            pagination: { items: owned ? 1 : 0 },
+            releases: owned ? [{ id: Number(ownedMatch[1]), instance_id: 1, folder_id: 1 }] : []
+        };
+    }
+
+    return null;
+}
+
+function discogs(path, params) {
+    if (path === '/database/search' && params.get('type') === 'label') {
+        return {
+            pagination: { page: 1, pages: 1, per_page: 10, items: 3 },
+            results: [1, 2, 3].map(i => ({ id: 900 + i, title: `Stub Label ${i}`, thumb: '' }))
+        };
+    }
+
+    // Channel videos are matched by name; echo the query back as a plausible release
+    if (path === '/database/search' && (params.get('release_title') || params.get('q'))) {
+        const title = params.get('release_title') || params.get('q');
+        return {
+            pagination: { page: 1, pages: 1, per_page: 5, items: 1 },
+            results: [{
+                id: 424242,
+                title: `${params.get('artist') || 'Stub Artist'} - ${title}`,
+                year: '1974',
+                genre: ['Electronic'],
+                style: ['Ambient'],
+                label: ['Stub Records'],
+                catno: 'STUB 001',
+                cover_image: '',
+                uri: '/release/424242-stub'
+            }]
+        };
+    }
+
+    if (path === '/database/search') {
+        const page = Number(params.get('page')) || 1;
+        const id = 100000 + Math.floor(Math.random() * 900000);
+        return {
+            pagination: { page, pages: 500, per_page: 1, items: 500 },
+            results: [{ id, master_id: id % 3 === 0 ? id + 7 : 0, title: `Stub Artist ${id % 7} - Stub Album ${id}`, year: params.get('year') || '' }]
+        };
+    }
+
+    const releaseMatch = path.match(/^\/releases\/(\d+)$/);
+    if (releaseMatch) return release(Number(releaseMatch[1]));
+
+    const masterMatch = path.match(/^\/masters\/(\d+)$/);
+    if (masterMatch) {
+        const mainRelease = Number(masterMatch[1]) + 1;
+        return { id: Number(masterMatch[1]), main_release: mainRelease, videos: release(mainRelease).videos };
+    }
+
+    const versionsMatch = path.match(/^\/masters\/(\d+)\/versions$/);
+    if (versionsMatch) {
+        const mainRelease = Number(versionsMatch[1]) + 1;
+        return {
+            pagination: { page: 1, pages: 1, per_page: 100, items: 3 },
+            versions: [0, 2, 3].map(offset => ({
+                id: mainRelease + offset,
+                stats: { community: { in_collection: 10 * (offset + 1), in_wantlist: 5 } }
+            }))
+        };
+    }
+
+    const statsMatch = path.match(/^\/marketplace\/stats\/(\d+)$/);
+    if (statsMatch) {
+        const forSale = Number(statsMatch[1]) % 4;
+        return {
+            lowest_price: forSale ? { value: 4.5 + forSale * 3, currency: params.get('curr_abbr') || 'EUR' } : null,
+            num_for_sale: forSale,
+            blocked_from_sale: false
+        };
+    }
+
+    const labelMatch = path.match(/^\/labels\/(\d+)\/releases$/);
+    if (labelMatch) {
+        const page = Number(params.get('page')) || 1;
+        const perPage = Number(params.get('per_page')) || 50;
+        const base = Number(labelMatch[1]) * 1000 + (page - 1) * perPage;
+        return {
+            pagination: { page, pages: 3, per_page: perPage, items: perPage * 3 },
+            releases: Array.from({ length: perPage }, (_, i) => ({
+                id: base + i,
+                title: `Stub Album ${base + i}`,
+                artist: `Stub Artist ${(base + i) % 7}`,
+                catno: `STUB-${base + i}`,
+                year: 1965 + ((base + i) % 40)
+            }))
+        };
+    }
+
+    const artistMatch = path.match(/^\/artists\/(\d+)\/releases$/);
+    if (artistMatch) {
+        const base = Number(artistMatch[1]) * 100;
+        return {
+            pagination: { page: 1, pages: 1, per_page: 100, items: 6 },
+            releases: Array.from({ length: 6 }, (_, i) => i % 2 === 0
+                ? { id: base + i, type: 'master', main_release: base + i + 50, role: 'Main', year: 1970 + i }
+                : { id: base + i, type: 'release', role: i === 5 ? 'Appearance' : 'Main', year: 1970 + i })
+        };
+    }
+
+    return null;
+}
+
+function youtube(path, params) {
+    if (path === '/channels') {
+        const handle = (params.get('forHandle') || params.get('forUsername') || '').replace(/^@/, '');
+        const id = params.get('id') || (handle ? `UCstub${handle.padEnd(16, '0').slice(0, 16)}` : null);
+        return {
+            items: id ? [{ id, snippet: { title: handle || 'Stub Channel', customUrl: `@${handle || 'stubchannel'}` } }] : []
+        };
+    }
+
+    if (path === '/playlists') {
+        const id = params.get('id');
+        return { items: id ? [{ id, snippet: { title: `Stub Playlist ${id.slice(-4)}`, channelTitle: 'Stub Channel' } }] : [] };
+    }
+
+    if (path === '/playlistItems') {
+        const page = Number(params.get('pageToken')) || 0;
+        return {
+            items: VIDEO_IDS.map((videoId, i) => ({
+                contentDetails: { videoId },
+                snippet: {
+                    title: `Stub Artist ${i} - Stub Upload ${page * VIDEO_IDS.length + i}`,
+                    publishedAt: new Date(Date.now() - (page * 10 + i) * 86400000).toISOString(),
+                    channelTitle: 'Stub Channel'
+                }
+            })),
+            nextPageToken: page < 2 ? String(page + 1) : undefined,
+            pageInfo: { totalResults: VIDEO_IDS.length * 3, resultsPerPage: VIDEO_IDS.length }
+        };
+    }
+
+    if (path === '/search') {
+        const type = params.get('type') || 'video';
+        return {
+            items: VIDEO_IDS.map(videoId => ({
+                id: type === 'playlist' ? { playlistId: `PLstub${videoId}` } : { videoId },
+                snippet: { title: params.get('q') || '', channelTitle: 'Stub Channel - Topic' }
+            }))
+        };
+    }
+
+    if (path === '/videos') {
+        const ids = (params.get('id') || '').split(',').filter(Boolean);
+        return {
+            items: ids.map((id, i) => ({
+                id,
+                contentDetails: { duration: i % 2 ? 'PT4M12S' : 'PT41M5S' },
+                status: { embeddable: true, privacyStatus: 'public' }
+            }))
+        };
+    }
+
+    return null;
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    let body = null;
+
+    if (url.pathname.startsWith('/discogs/')) {
+        const path = url.pathname.slice('/discogs'.length);
+        const oauth = discogsOAuth(path, url.searchParams, req.headers);
+        if (oauth && oauth.redirect) {
+            res.writeHead(302, { Location: oauth.redirect });
+            return res.end();
+        }
+        if (oauth) {
+            res.writeHead(200, { 'Content-Type': 'application/x-www-form-urlencoded' });
+            return res.end(oauth.text);
+        }
+        body = discogsUser(req.method, path, url.searchParams) || discogs(path, url.searchParams);
+    } else if (url.pathname.startsWith('/youtube/v3/')) {
+        body = youtube(url.pathname.slice('/youtube/v3'.length), url.searchParams);
+    }
+
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { message: 'Not stubbed' }));
+});
+
+server.listen(PORT, () => console.log(`API stub listening on http://localhost:${PORT}`));